@@ -0,0 +1,168 @@
+/**
+ * Result Cache
+ * Content-addressed cache for engine results
+ *
+ * Keys are a SHA-256 of the engine version, the operation, its input and
+ * every option that affects the result, so an entry never needs
+ * invalidating: a new engine version simply misses. Entries live in an
+ * in-memory LRU bounded by count and size, and optionally in a directory
+ * (one JSON file per key) that survives restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ENGINE_VERSION } = require('./engine');
+
+// JSON with object keys sorted, so equal options hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item) || 'null').join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function cacheKey(operation, input, options = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      stableStringify({
+        engine_version: ENGINE_VERSION,
+        operation,
+        input,
+        options,
+      }),
+    )
+    .digest('hex');
+}
+
+/**
+ * Create a cache. `maxEntries` and `maxBytes` bound the in-memory LRU
+ * (sizes are measured as serialized JSON); `dir`, if set, adds the disk
+ * store.
+ */
+function createResultCache({
+  maxEntries = 500,
+  maxBytes = 50 * 1024 * 1024,
+  dir = null,
+} = {}) {
+  const entries = new Map(); // key -> { value, bytes }, oldest first
+  const counters = { hits: 0, misses: 0 };
+  let bytes = 0;
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  function remember(key, value, size) {
+    if (entries.has(key)) {
+      bytes -= entries.get(key).bytes;
+      entries.delete(key);
+    }
+    if (size > maxBytes) return;
+    entries.set(key, { value, bytes: size });
+    bytes += size;
+
+    // Evict least recently used entries past either limit
+    for (const [oldest, entry] of entries) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      entries.delete(oldest);
+      bytes -= entry.bytes;
+    }
+  }
+
+  async function readDisk(key) {
+    try {
+      const json = await fs.promises.readFile(fileFor(key), 'utf8');
+      const value = JSON.parse(json);
+      remember(key, value, Buffer.byteLength(json));
+      return value;
+    } catch (error) {
+      // Missing or unreadable files are misses
+      return undefined;
+    }
+  }
+
+  /**
+   * The cached value for `key`, or undefined.
+   */
+  async function get(key) {
+    let value;
+    if (entries.has(key)) {
+      const entry = entries.get(key);
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      value = entry.value;
+    } else if (dir) {
+      value = await readDisk(key);
+    }
+
+    if (value === undefined) counters.misses++;
+    else counters.hits++;
+    return value;
+  }
+
+  async function set(key, value) {
+    const json = JSON.stringify(value);
+    remember(key, value, Buffer.byteLength(json));
+    if (dir) {
+      // A temp file per write, so concurrent writes of one key never share one
+      const temp = `${fileFor(key)}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.promises.writeFile(temp, json);
+        await fs.promises.rename(temp, fileFor(key));
+      } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Drop every entry, in memory and on disk. Returns the number removed.
+   */
+  async function purge() {
+    const keys = new Set(entries.keys());
+    entries.clear();
+    bytes = 0;
+
+    if (dir) {
+      const files = await fs.promises.readdir(dir);
+      await Promise.all(
+        files
+          .filter((file) => file.endsWith('.json'))
+          .map((file) => {
+            keys.add(file.slice(0, -'.json'.length));
+            return fs.promises.rm(path.join(dir, file), { force: true });
+          }),
+      );
+    }
+    return keys.size;
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      entries: entries.size,
+      bytes,
+      max_entries: maxEntries,
+      max_bytes: maxBytes,
+      disk: dir,
+      hits: counters.hits,
+      misses: counters.misses,
+      hit_rate:
+        lookups > 0 ? Math.round((counters.hits / lookups) * 100) / 100 : 0,
+    };
+  }
+
+  return { key: cacheKey, get, set, purge, stats };
+}
+
+module.exports = { createResultCache, cacheKey, stableStringify };
@@ -0,0 +1,144 @@
+/**
+ * Code Checks
+ * Runs the registered analyzer rules over an AST in a single traversal
+ *
+ * Every occurrence is reported with its exact location and `rule_id`.
+ * Strings, comments and unrelated members (e.g. `obj.eval()`) are never
+ * matched. Findings can be suppressed inline:
+ *
+ *   // wizelit-disable-next-line no-console
+ *   foo(); // wizelit-disable-line eqeqeq, no-var
+ *   // wizelit-disable no-eval  ...  // wizelit-enable no-eval
+ *
+ * A directive without rule IDs applies to every rule; text after "--" is
+ * treated as the reason and ignored.
+ *
+ * Rules may attach a fix to a finding: { edits: [{ start, end, text }] }
+ * when it is safe to apply, or { skip: reason } when it is not. Issues
+ * report `auto_fixable`; the fixes themselves come from `findFixes`.
+ * Rules can also attach extra issue fields (e.g. `taint_path`).
+ */
+
+const traverse = require('@babel/traverse').default;
+const { locationOf } = require('./parser');
+const { resolveRules } = require('./rules');
+
+const DIRECTIVE =
+  /^\s*wizelit-(disable-next-line|disable-line|disable|enable)\b(.*)$/;
+
+function byLocation(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+function parseRuleList(text) {
+  // Anything after "--" is a free-text reason
+  return text
+    .split('--')[0]
+    .split(/[\s,]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Collect suppression directives from the AST's comments.
+ */
+function collectSuppressions(ast) {
+  const lines = [];
+  const ranges = [];
+  const open = [];
+
+  ast.comments.forEach((comment) => {
+    const match = comment.value.trim().match(DIRECTIVE);
+    if (!match) return;
+    const [, kind, rest] = match;
+    const rules = parseRuleList(rest);
+
+    if (kind === 'disable-next-line') {
+      lines.push({ line: comment.loc.end.line + 1, rules });
+    } else if (kind === 'disable-line') {
+      lines.push({ line: comment.loc.start.line, rules });
+    } else if (kind === 'disable') {
+      open.push({ start: comment.loc.end.line, rules });
+    } else {
+      // wizelit-enable closes matching (or, without IDs, all) open blocks
+      for (let i = open.length - 1; i >= 0; i--) {
+        const block = open[i];
+        if (
+          rules.length === 0 ||
+          block.rules.some((rule) => rules.includes(rule))
+        ) {
+          ranges.push({ ...block, end: comment.loc.start.line });
+          open.splice(i, 1);
+        }
+      }
+    }
+  });
+
+  open.forEach((block) => ranges.push({ ...block, end: Infinity }));
+  return { lines, ranges };
+}
+
+function isSuppressed(issue, { lines, ranges }) {
+  const covers = (rules) => rules.length === 0 || rules.includes(issue.rule_id);
+
+  return (
+    lines.some((entry) => entry.line === issue.line && covers(entry.rules)) ||
+    ranges.some(
+      (range) =>
+        issue.line >= range.start &&
+        issue.line <= range.end &&
+        covers(range.rules),
+    )
+  );
+}
+
+// Run the enabled rules, returning unsuppressed { issue, fix } findings
+function runRules(ast, rules) {
+  const findings = [];
+  const context = { tokens: ast.tokens || [] };
+
+  const visitors = resolveRules(rules).map(({ rule, severity }) =>
+    rule.create((node, message, fix = null, details = {}) => {
+      findings.push({
+        issue: {
+          rule_id: rule.id,
+          severity,
+          message,
+          category: rule.category,
+          ...locationOf(node),
+          ...details,
+        },
+        fix,
+      });
+    }, context),
+  );
+
+  if (visitors.length > 0) {
+    traverse(ast, traverse.visitors.merge(visitors));
+  }
+
+  const suppressions = collectSuppressions(ast);
+  return findings
+    .filter(({ issue }) => !isSuppressed(issue, suppressions))
+    .sort((a, b) => byLocation(a.issue, b.issue));
+}
+
+/**
+ * Walk a parsed AST with every enabled rule and return the issues found,
+ * ordered by location. `rules` is a { ruleId: setting } object.
+ */
+function detectIssues(ast, { rules } = {}) {
+  return runRules(ast, rules).map(({ issue, fix }) => ({
+    ...issue,
+    auto_fixable: Boolean(fix && fix.edits),
+  }));
+}
+
+/**
+ * Like `detectIssues`, but returns { issue, fix } pairs for the findings of
+ * fixable rules so the fixes can be applied.
+ */
+function findFixes(ast, { rules } = {}) {
+  return runRules(ast, rules).filter(({ fix }) => fix !== null);
+}
+
+module.exports = { detectIssues, findFixes };
@@ -0,0 +1,148 @@
+/**
+ * CLI Helpers
+ * Argument handling shared by the tools in tools/
+ */
+
+const { OUTPUT_FORMATS } = require('./reporters');
+const { loadConfig } = require('./config');
+const { createLogger, inputBytes, timed } = require('./logger');
+
+/**
+ * Load the configuration (see lib/config.js) for a tool. Returns
+ * { config, logger }; the logger writes to stderr so stdout carries only
+ * the tool's output. Throws ConfigError.
+ */
+function loadToolConfig() {
+  const config = loadConfig();
+  return {
+    config,
+    logger: createLogger({ level: config.logLevel, stderr: true }),
+  };
+}
+
+/**
+ * Run `run` as `operation`, logging its duration, input size and outcome
+ * at debug level. Returns what `run` returns.
+ */
+function timedOperation(logger, operation, input, run) {
+  const input_bytes = inputBytes(input);
+  return timed(operation, run, (timing) =>
+    logger.debug('operation completed', { ...timing, input_bytes }),
+  );
+}
+
+/**
+ * Throw when any of `sources` ({ name: text }) is over MAX_CODE_SIZE bytes.
+ */
+function checkCodeSize(config, sources) {
+  Object.entries(sources).forEach(([name, text]) => {
+    if (typeof text !== 'string') return;
+    const size = Buffer.byteLength(text);
+    if (size > config.maxCodeSize) {
+      throw new Error(
+        `${name} is ${size} bytes, over the ${config.maxCodeSize}-byte limit (MAX_CODE_SIZE)`,
+      );
+    }
+  });
+}
+
+/**
+ * Split `--name=value` / `--name value` flags out of CLI args. A flag with
+ * no value (last, or followed by another flag) is `true`.
+ * Returns { flags, args } with the remaining positional args.
+ */
+function takeFlags(argv) {
+  const flags = {};
+  const args = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    // Values may span lines (code, diffs)
+    const match = argv[i].match(/^--([a-z][\w-]*)(?:=([\s\S]*))?$/);
+    if (!match) {
+      args.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[match[1]] = argv[++i];
+    } else {
+      // A bare switch such as --strict
+      flags[match[1]] = true;
+    }
+  }
+  return { flags, args };
+}
+
+/**
+ * Read the --format flag, defaulting to json. `formats` are the ones the
+ * tool can write (the report formats by default).
+ */
+function outputFormat(flags, formats = OUTPUT_FORMATS) {
+  const format = flags.format || 'json';
+  if (!formats.includes(format)) {
+    throw new Error(
+      `Unsupported output format: ${format} (supported: ${formats.join(', ')})`,
+    );
+  }
+  return format;
+}
+
+/**
+ * Parse a JSON object flag such as --rules='{"no-console":"off"}'.
+ */
+function jsonFlag(flags, name) {
+  if (flags[name] === undefined || flags[name] === '') return undefined;
+  if (flags[name] === true) throw new Error(`--${name} needs a value`);
+  try {
+    return JSON.parse(flags[name]);
+  } catch (error) {
+    throw new Error(`--${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Read a boolean switch: --strict, --strict=true or --strict=false. An
+ * empty --strict= (an unset bridge argument) is off.
+ */
+function booleanFlag(flags, name) {
+  const value = flags[name];
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === true || value === 'true') return true;
+  throw new Error(`--${name} must be true or false`);
+}
+
+/**
+ * Read an integer flag such as --timeout-ms=500.
+ */
+function integerFlag(flags, name) {
+  const value = flags[name];
+  if (value === undefined || value === '') return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`--${name} must be an integer`);
+  return Number(value);
+}
+
+/**
+ * Parse a list flag given as JSON (--rules='["eqeqeq"]') or as
+ * comma-separated values (--rules=eqeqeq,no-var).
+ */
+function listFlag(flags, name) {
+  const value = flags[name];
+  if (value === undefined || value === '') return undefined;
+  if (value === true) throw new Error(`--${name} needs a value`);
+  if (value.trim().startsWith('[')) return jsonFlag(flags, name);
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  outputFormat,
+  jsonFlag,
+  listFlag,
+  booleanFlag,
+  integerFlag,
+};
@@ -0,0 +1,336 @@
+/**
+ * Configuration
+ * Typed settings for the service and the CLI tools
+ *
+ * Each setting is named by its environment variable. Values are merged
+ * from, lowest first: the defaults below, a JSON config file
+ * (wizelit.config.json, or the file named by CONFIG_FILE), a .env file
+ * (or ENV_FILE) and the process environment. Every value is checked, and
+ * all problems are reported together in one ConfigError.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_FILE = 'wizelit.config.json';
+const ENV_FILE = '.env';
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const REDACTED = '****';
+
+// key -> { env, type, default, ... }; `secret` values are redacted when
+// the config is displayed
+const SETTINGS = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  nodeEnv: {
+    env: 'NODE_ENV',
+    type: 'enum',
+    values: ['development', 'production', 'test'],
+    default: 'development',
+  },
+  requestTimeout: {
+    env: 'REQUEST_TIMEOUT',
+    type: 'integer',
+    min: 1,
+    default: 30000,
+  },
+  deepAnalysisTimeout: {
+    env: 'DEEP_ANALYSIS_TIMEOUT',
+    type: 'integer',
+    min: 1,
+    default: 120000,
+  },
+  enableDeepAnalysis: {
+    env: 'ENABLE_DEEP_ANALYSIS',
+    type: 'boolean',
+    default: true,
+  },
+  jobQueueDepth: {
+    env: 'JOB_QUEUE_DEPTH',
+    type: 'integer',
+    min: 0,
+    default: 100,
+  },
+  jobRetention: {
+    env: 'JOB_RETENTION',
+    type: 'integer',
+    min: 1,
+    default: 10 * 60 * 1000,
+  },
+  jobMaxRetained: {
+    env: 'JOB_MAX_RETAINED',
+    type: 'integer',
+    min: 0,
+    default: 500,
+  },
+  // Defaults to the CPU count less one (for the event loop), at least 1
+  workerPoolSize: {
+    env: 'WORKER_POOL_SIZE',
+    type: 'integer',
+    min: 1,
+    default: null,
+  },
+  workerQueueDepth: {
+    env: 'WORKER_QUEUE_DEPTH',
+    type: 'integer',
+    min: 0,
+    default: 100,
+  },
+  logLevel: {
+    env: 'LOG_LEVEL',
+    type: 'enum',
+    values: LOG_LEVELS,
+    default: 'info',
+  },
+  maxCodeSize: {
+    env: 'MAX_CODE_SIZE',
+    type: 'integer',
+    min: 1,
+    default: 1024 * 1024,
+  },
+  // Defaults to 4 x maxCodeSize
+  maxBodySize: { env: 'MAX_BODY_SIZE', type: 'integer', min: 1, default: null },
+  apiKey: { env: 'API_KEY', type: 'string', secret: true, default: null },
+  apiKeysFile: { env: 'API_KEYS_FILE', type: 'string', default: null },
+  rateLimitPerMinute: {
+    env: 'RATE_LIMIT_PER_MINUTE',
+    type: 'integer',
+    min: 0,
+    default: 120,
+  },
+  // Defaults to rateLimitPerMinute
+  rateLimitBurst: {
+    env: 'RATE_LIMIT_BURST',
+    type: 'integer',
+    min: 0,
+    default: null,
+  },
+  cacheMaxEntries: {
+    env: 'CACHE_MAX_ENTRIES',
+    type: 'integer',
+    min: 1,
+    default: 500,
+  },
+  cacheMaxBytes: {
+    env: 'CACHE_MAX_BYTES',
+    type: 'integer',
+    min: 1,
+    default: 50 * 1024 * 1024,
+  },
+  cacheDir: { env: 'CACHE_DIR', type: 'string', default: null },
+  mcpAllowedOrigins: { env: 'MCP_ALLOWED_ORIGINS', type: 'list', default: [] },
+  mcpMaxSessions: {
+    env: 'MCP_MAX_SESSIONS',
+    type: 'integer',
+    min: 1,
+    default: 1000,
+  },
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`,
+    );
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Sources of each loaded config, for describeConfig()
+const provenance = new WeakMap();
+
+/**
+ * Parse a .env file: KEY=value lines, `#` comments, optional `export`
+ * prefix and quotes (double quotes understand \n, \t and \").
+ */
+function parseEnvFile(text) {
+  const values = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(
+      /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/,
+    );
+    if (!match) return;
+    let value = match[2];
+    const quoted = value.match(/^(["'])(.*)\1(?:\s+#.*)?$/);
+    if (quoted) {
+      value = quoted[2];
+      if (quoted[1] === '"') {
+        value = value.replace(/\\([nt"\\])/g, (escape, char) =>
+          char === 'n' ? '\n' : char === 't' ? '\t' : char,
+        );
+      }
+    } else {
+      // Unquoted values end at a comment
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+function describeRule(setting) {
+  switch (setting.type) {
+    case 'integer':
+      if (setting.max !== undefined) {
+        return `an integer from ${setting.min} to ${setting.max}`;
+      }
+      return `an integer >= ${setting.min}`;
+    case 'boolean':
+      return 'true or false';
+    case 'enum':
+      return `one of ${setting.values.join(', ')}`;
+    case 'list':
+      return 'a comma-separated list';
+    default:
+      return 'a string';
+  }
+}
+
+// A raw value (a string from the environment, or JSON from the config
+// file) as the setting's type, or undefined when it does not fit
+function coerce(setting, raw) {
+  switch (setting.type) {
+    case 'integer': {
+      const value =
+        typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : raw;
+      if (!Number.isInteger(value) || value < setting.min) return undefined;
+      if (setting.max !== undefined && value > setting.max) return undefined;
+      return value;
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const value = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(value)) return true;
+      if (['false', '0', 'no', 'off'].includes(value)) return false;
+      return undefined;
+    }
+    case 'enum':
+      return setting.values.includes(raw) ? raw : undefined;
+    case 'list':
+      if (Array.isArray(raw) && raw.every((item) => typeof item === 'string')) {
+        return raw;
+      }
+      if (typeof raw !== 'string') return undefined;
+      return raw
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      return typeof raw === 'string' ? raw : undefined;
+  }
+}
+
+function readConfigFile(file, problems) {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    problems.push(`${file}: ${error.message}`);
+    return {};
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    problems.push(`${file}: must hold a JSON object of settings`);
+    return {};
+  }
+
+  // Unknown names are most likely typos
+  const known = Object.values(SETTINGS).map((setting) => setting.env);
+  Object.keys(values).forEach((name) => {
+    if (!known.includes(name)) {
+      problems.push(`${file}: unknown setting ${name}`);
+    }
+  });
+  return values;
+}
+
+/**
+ * Load the configuration. `env` and `cwd` default to the process's; a
+ * config file named by CONFIG_FILE (or an env file by ENV_FILE) must
+ * exist, the default ones are optional.
+ * Returns a frozen object keyed as SETTINGS; throws ConfigError.
+ */
+function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+  const problems = [];
+  const layers = [];
+
+  const configFile = path.resolve(cwd, env.CONFIG_FILE || CONFIG_FILE);
+  if (env.CONFIG_FILE || fs.existsSync(configFile)) {
+    layers.push([configFile, readConfigFile(configFile, problems)]);
+  }
+
+  const envFile = path.resolve(cwd, env.ENV_FILE || ENV_FILE);
+  if (env.ENV_FILE || fs.existsSync(envFile)) {
+    try {
+      layers.push([envFile, parseEnvFile(fs.readFileSync(envFile, 'utf8'))]);
+    } catch (error) {
+      problems.push(`${envFile}: ${error.message}`);
+    }
+  }
+  layers.push(['environment', env]);
+
+  const config = {};
+  const sources = {};
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    config[key] = setting.default;
+    sources[key] = 'default';
+
+    layers.forEach(([source, values]) => {
+      const raw = values[setting.env];
+      // An empty environment value counts as unset
+      if (raw === undefined || raw === null || raw === '') return;
+
+      const value = coerce(setting, raw);
+      if (value === undefined) {
+        problems.push(
+          `${setting.env} (from ${source}) must be ${describeRule(setting)}, got ${JSON.stringify(setting.secret ? REDACTED : raw)}`,
+        );
+        return;
+      }
+      config[key] = value;
+      sources[key] = source;
+    });
+  });
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  if (config.maxBodySize === null) config.maxBodySize = config.maxCodeSize * 4;
+  if (config.workerPoolSize === null) {
+    config.workerPoolSize = Math.max(1, os.cpus().length - 1);
+  }
+  if (config.rateLimitBurst === null) {
+    config.rateLimitBurst = config.rateLimitPerMinute;
+  }
+
+  Object.freeze(config.mcpAllowedOrigins);
+  Object.freeze(config);
+  provenance.set(config, sources);
+  return config;
+}
+
+/**
+ * The effective configuration for display: each setting's value (secrets
+ * redacted), the variable that sets it and where the value came from.
+ */
+function describeConfig(config) {
+  const sources = provenance.get(config) || {};
+  const settings = {};
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    const value = config[key];
+    settings[key] = {
+      value: setting.secret && value !== null ? REDACTED : value,
+      env: setting.env,
+      source: sources[key] || 'default',
+    };
+  });
+  return settings;
+}
+
+module.exports = {
+  loadConfig,
+  describeConfig,
+  parseEnvFile,
+  ConfigError,
+  SETTINGS,
+  LOG_LEVELS,
+};
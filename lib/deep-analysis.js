@@ -0,0 +1,136 @@
+/**
+ * Deep Analysis
+ * Multi-pass analysis pipeline with progress reporting and cancellation
+ *
+ * Each pass reads and extends a shared context. Between passes the pipeline
+ * yields to the event loop, reports progress and honours an AbortSignal.
+ */
+
+const { parseCode } = require('./parser');
+const { detectIssues } = require('./checks');
+const { analyzeFunctions } = require('./metrics');
+const { findDuplicates } = require('./duplicates');
+
+const SEVERITY_WEIGHTS = { high: 5, medium: 3, low: 1, info: 0 };
+const MAX_HOTSPOTS = 5;
+
+/**
+ * Rank functions by how much review attention they need: complexity,
+ * low maintainability and the issues found inside them.
+ */
+function rankHotspots(functions, issues) {
+  return functions
+    .map((fn) => {
+      const inside = issues.filter(
+        (issue) => issue.line >= fn.line && issue.line <= fn.end_line,
+      );
+      const issueScore = inside.reduce(
+        (sum, issue) => sum + (SEVERITY_WEIGHTS[issue.severity] || 0),
+        0,
+      );
+      const score =
+        fn.cognitive_complexity +
+        (fn.cyclomatic_complexity - 1) +
+        (100 - fn.maintainability_index) / 10 +
+        issueScore;
+
+      return {
+        name: fn.name,
+        line: fn.line,
+        end_line: fn.end_line,
+        cyclomatic_complexity: fn.cyclomatic_complexity,
+        cognitive_complexity: fn.cognitive_complexity,
+        maintainability_index: fn.maintainability_index,
+        issue_count: inside.length,
+        score: Math.round(score * 100) / 100,
+      };
+    })
+    .filter((hotspot) => hotspot.score >= 1)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_HOTSPOTS);
+}
+
+const DEEP_PASSES = [
+  {
+    name: 'parse',
+    run(context) {
+      const { ast, errors } = parseCode(context.code, context.language);
+      context.ast = ast;
+      context.errors = errors;
+    },
+  },
+  {
+    name: 'issues',
+    run(context) {
+      context.issues = context.ast
+        ? detectIssues(context.ast, { rules: context.rules })
+        : [];
+    },
+  },
+  {
+    name: 'functions',
+    run(context) {
+      context.functions = context.ast
+        ? analyzeFunctions(context.ast, context.code)
+        : [];
+    },
+  },
+  {
+    name: 'duplication',
+    run(context) {
+      context.duplication = findDuplicates([
+        { code: context.code, tokens: context.ast ? context.ast.tokens : [] },
+      ]);
+    },
+  },
+  {
+    name: 'hotspots',
+    run(context) {
+      context.hotspots = rankHotspots(context.functions, context.issues);
+    },
+  },
+];
+
+function abortError() {
+  const error = new Error('Analysis cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Run `passes` over a fresh context for `code`. `onProgress` receives
+ * { percent, stage } before each pass and once more on completion;
+ * `rules` holds the rule settings for the issues pass.
+ */
+async function runDeepAnalysis(
+  code,
+  {
+    language = 'javascript',
+    rules,
+    passes = DEEP_PASSES,
+    onProgress,
+    signal,
+  } = {},
+) {
+  const context = { code, language, rules };
+  const report = onProgress || (() => {});
+
+  for (let i = 0; i < passes.length; i++) {
+    if (signal && signal.aborted) throw abortError();
+    report({
+      percent: Math.round((i / passes.length) * 100),
+      stage: passes[i].name,
+    });
+
+    await passes[i].run(context);
+
+    // Let other requests in between passes
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  if (signal && signal.aborted) throw abortError();
+  report({ percent: 100, stage: 'done' });
+  return context;
+}
+
+module.exports = { runDeepAnalysis, rankHotspots, DEEP_PASSES };
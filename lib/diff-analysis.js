@@ -0,0 +1,246 @@
+/**
+ * Diff Analysis
+ * Matches analyzer issues and functions across two versions of a file, so
+ * a change is reviewed on what it introduces
+ *
+ * Lines are mapped from base to head with a line diff. A head issue
+ * matches a base issue with the same rule and message on the mapped line,
+ * failing that on a line with the same text (code that moved), and failing
+ * that over the same flagged code. Head issues left over are new; base
+ * issues left over are fixed.
+ */
+
+const { applyPatch, diffLines } = require('diff');
+const { SEVERITIES } = require('./rules');
+
+const GATE_LEVELS = [...SEVERITIES, 'none'];
+
+class DiffInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiffInputError';
+  }
+}
+
+/**
+ * The head version: given directly, or the base with a unified diff
+ * applied.
+ */
+function resolveHead({ base, head, patch }) {
+  if (typeof base !== 'string') {
+    throw new DiffInputError('base must be the original code as a string');
+  }
+  if (head !== undefined && patch !== undefined) {
+    throw new DiffInputError('Pass either head or patch, not both');
+  }
+  if (typeof head === 'string') return head;
+  if (typeof patch === 'string') {
+    const patched = applyPatch(base, patch);
+    if (patched === false) {
+      throw new DiffInputError('patch does not apply to base');
+    }
+    return patched;
+  }
+  throw new DiffInputError(
+    'head (the changed code) or patch (a unified diff) is required',
+  );
+}
+
+function withNewline(text) {
+  return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+/**
+ * Map unchanged base lines to their head line numbers, and collect the
+ * head lines the change added plus the points where lines were removed.
+ */
+function mapLines(base, head) {
+  const lineMap = new Map();
+  const added = new Set();
+  const removals = new Set();
+  let baseLine = 1;
+  let headLine = 1;
+
+  diffLines(withNewline(base), withNewline(head)).forEach((part) => {
+    for (let i = 0; i < part.count; i++) {
+      if (part.added) {
+        added.add(headLine + i);
+      } else if (!part.removed) {
+        lineMap.set(baseLine + i, headLine + i);
+      }
+    }
+    if (part.added) {
+      headLine += part.count;
+    } else if (part.removed) {
+      removals.add(headLine);
+      baseLine += part.count;
+    } else {
+      baseLine += part.count;
+      headLine += part.count;
+    }
+  });
+  return { lineMap, added, removals };
+}
+
+// Pair items pass by pass; `passes` are (baseItem, headItem) predicates
+function pairUp(baseItems, headItems, passes) {
+  const pairs = [];
+  const freeBase = new Set(baseItems);
+  const freeHead = new Set(headItems);
+
+  passes.forEach((sameItem) => {
+    headItems.forEach((headItem) => {
+      if (!freeHead.has(headItem)) return;
+      const match = baseItems.find(
+        (baseItem) => freeBase.has(baseItem) && sameItem(baseItem, headItem),
+      );
+      if (match) {
+        pairs.push([match, headItem]);
+        freeBase.delete(match);
+        freeHead.delete(headItem);
+      }
+    });
+  });
+  return { pairs, baseOnly: [...freeBase], headOnly: [...freeHead] };
+}
+
+// The source text an issue covers
+function spanText(lines, issue) {
+  const span = lines.slice(issue.line - 1, issue.end_line);
+  if (span.length === 0) return null;
+  span[span.length - 1] = span[span.length - 1].slice(0, issue.end_column - 1);
+  span[0] = span[0].slice(issue.column - 1);
+  return span.join('\n');
+}
+
+function matchIssues(base, head, { lineMap, baseLines, headLines }) {
+  const sameRule = (a, b) => a.rule_id === b.rule_id && a.message === b.message;
+  const text = (lines, line) => (lines[line - 1] || '').trim();
+
+  const { pairs, baseOnly, headOnly } = pairUp(base.issues, head.issues, [
+    (a, b) => sameRule(a, b) && lineMap.get(a.line) === b.line,
+    (a, b) =>
+      sameRule(a, b) && text(baseLines, a.line) === text(headLines, b.line),
+    // The line was edited elsewhere, but the flagged code itself is intact
+    (a, b) =>
+      sameRule(a, b) &&
+      a.end_line - a.line === b.end_line - b.line &&
+      spanText(baseLines, a) === spanText(headLines, b),
+  ]);
+
+  return {
+    new: headOnly,
+    fixed: baseOnly,
+    unchanged: pairs
+      .map(([before, after]) => ({
+        ...after,
+        base_line: before.line,
+        base_column: before.column,
+      }))
+      .sort((a, b) => a.line - b.line || a.column - b.column),
+  };
+}
+
+function delta(before, after, metric) {
+  const baseValue = before ? before[metric] : null;
+  const headValue = after ? after[metric] : null;
+  return {
+    base: baseValue,
+    head: headValue,
+    delta: (headValue || 0) - (baseValue || 0),
+  };
+}
+
+function matchFunctions(base, head, { lineMap, added, removals }) {
+  const named = (fn) => fn.name !== '<anonymous>';
+  const { pairs, baseOnly, headOnly } = pairUp(base.functions, head.functions, [
+    (a, b) => lineMap.get(a.line) === b.line && a.name === b.name,
+    (a, b) => named(a) && a.name === b.name,
+  ]);
+
+  const touched = (fn) => {
+    for (let line = fn.line; line <= fn.end_line; line++) {
+      if (added.has(line) || (line > fn.line && removals.has(line))) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const entry = (before, after, status) => ({
+    name: (after || before).name,
+    status,
+    line: after ? after.line : null,
+    base_line: before ? before.line : null,
+    cyclomatic_complexity: delta(before, after, 'cyclomatic_complexity'),
+    cognitive_complexity: delta(before, after, 'cognitive_complexity'),
+  });
+
+  return [
+    ...pairs.map(([before, after]) =>
+      entry(before, after, touched(after) ? 'modified' : 'unchanged'),
+    ),
+    ...headOnly.map((after) => entry(null, after, 'added')),
+  ]
+    .sort((a, b) => a.line - b.line)
+    .concat(baseOnly.map((before) => entry(before, null, 'removed')));
+}
+
+/**
+ * Compare the analyses of two versions of the same code.
+ * Returns { issues: { new, fixed, unchanged }, functions }.
+ */
+function compareAnalyses(baseCode, headCode, base, head) {
+  const lines = mapLines(baseCode, headCode);
+  const context = {
+    ...lines,
+    baseLines: baseCode.split('\n'),
+    headLines: headCode.split('\n'),
+  };
+
+  return {
+    issues: matchIssues(base, head, context),
+    functions: matchFunctions(base, head, context),
+  };
+}
+
+/**
+ * The PR gate: fails on new issues at or above `failOn` severity, or when
+ * the head no longer parses. `failOn: 'none'` never fails.
+ */
+function evaluateGate(newIssues, headParseErrors, failOn = 'high') {
+  if (!GATE_LEVELS.includes(failOn)) {
+    throw new DiffInputError(
+      `Invalid fail_on: ${failOn} (expected one of ${GATE_LEVELS.join(', ')})`,
+    );
+  }
+  if (failOn === 'none') {
+    return { fail_on: failOn, passed: true, blocking_issues: 0, reason: null };
+  }
+
+  const threshold = SEVERITIES.indexOf(failOn);
+  const blocking = newIssues.filter(
+    (issue) => SEVERITIES.indexOf(issue.severity) <= threshold,
+  );
+  let reason = null;
+  if (headParseErrors.length > 0) {
+    reason = 'The changed code does not parse';
+  } else if (blocking.length > 0) {
+    reason = `${blocking.length} new issue(s) at ${failOn} severity or above`;
+  }
+
+  return {
+    fail_on: failOn,
+    passed: reason === null,
+    blocking_issues: blocking.length,
+    reason,
+  };
+}
+
+module.exports = {
+  resolveHead,
+  compareAnalyses,
+  evaluateGate,
+  DiffInputError,
+  GATE_LEVELS,
+};
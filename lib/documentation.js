@@ -0,0 +1,784 @@
+/**
+ * API Documentation
+ * Exported functions and classes with their JSDoc, as a JSON model and a
+ * Markdown reference
+ *
+ * Exports are found in ES module syntax (`export`, `export default`,
+ * `export { a as b }`) and CommonJS (`module.exports = ...`,
+ * `module.exports.name = ...`, `exports.name = ...`), and followed to the
+ * function or class they name. Each one is paired with the `/** ... *\/`
+ * comment right before it, at the declaration or at the export. Tags are
+ * read leniently: a malformed tag gives what could be read, never an
+ * error. Parameters come from the code, and `mismatches` lists where the
+ * comment disagrees with it.
+ */
+
+const traverse = require('@babel/traverse').default;
+
+const DOCUMENT_FORMATS = ['json', 'markdown'];
+
+const TAG_ALIASES = {
+  arg: 'param',
+  argument: 'param',
+  return: 'returns',
+  exception: 'throws',
+};
+
+function isDocComment(comment) {
+  return comment.type === 'CommentBlock' && comment.value.startsWith('*');
+}
+
+// Comment text without the `*` that starts each line
+function commentLines(comment) {
+  const lines = comment.value
+    .slice(1)
+    .split('\n')
+    .map((line, i) => (i === 0 ? line.trim() : line.replace(/^\s*\* ?/, '')));
+  while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+function joinText(lines) {
+  return lines
+    .map((line) => line.trim())
+    .join('\n')
+    .replace(/([^\n])\n(?!\n)/g, '$1 ')
+    .trim();
+}
+
+// A leading `{type}`, which may nest braces
+function readType(text) {
+  if (!text.startsWith('{')) return { type: null, rest: text };
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) {
+      return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+    }
+  }
+  return { type: text.slice(1).trim(), rest: '' };
+}
+
+// `name`, `[name]` or `[name=default]`, then an optional `-` before the
+// description
+function readParam(text) {
+  const { type, rest } = readType(text);
+  const optional = rest.match(/^\[\s*([^\]=\s]+)\s*(?:=([^\]]*))?\]([\s\S]*)$/);
+  const plain = rest.match(/^(\S+)([\s\S]*)$/);
+  const match = optional || plain;
+  if (!match) return null;
+
+  return {
+    name: match[1],
+    type,
+    description: (optional ? match[3] : match[2])
+      .replace(/^\s*-\s*/, '')
+      .trim(),
+    optional: Boolean(optional),
+    ...(optional && match[2] !== undefined && { default: match[2].trim() }),
+  };
+}
+
+/**
+ * Parse a JSDoc comment into its description and tags.
+ */
+function parseJsDoc(comment) {
+  const doc = {
+    description: '',
+    params: [],
+    returns: null,
+    throws: [],
+    examples: [],
+    tags: [],
+  };
+
+  // Split into the description and one block of lines per tag
+  const blocks = [{ tag: null, lines: [] }];
+  commentLines(comment).forEach((line) => {
+    const tag = line.trim().match(/^@(\w+)\s?([\s\S]*)$/);
+    if (tag) blocks.push({ tag: tag[1], lines: [tag[2]] });
+    else blocks[blocks.length - 1].lines.push(line);
+  });
+
+  blocks.forEach(({ tag, lines }) => {
+    const name = TAG_ALIASES[tag] || tag;
+    const text = joinText(lines);
+    if (name === null) {
+      doc.description = text;
+    } else if (name === 'param') {
+      const param = readParam(text);
+      if (param) doc.params.push(param);
+    } else if (name === 'returns') {
+      const { type, rest } = readType(text);
+      doc.returns = { type, description: rest };
+    } else if (name === 'throws') {
+      const { type, rest } = readType(text);
+      doc.throws.push({ type, description: rest });
+    } else if (name === 'example') {
+      // Examples keep their line breaks and indentation
+      const code = lines.join('\n').replace(/^\n+|\s+$/g, '');
+      if (code) doc.examples.push(code);
+    } else {
+      doc.tags.push({ tag: name, text });
+    }
+  });
+  return doc;
+}
+
+// Stop looking for a comment at the statement (or the object / class
+// member) that holds the export
+function isCommentBoundary(path) {
+  if (path.isStatement()) return !path.parentPath.isExportDeclaration();
+  return path.isObjectMember() || path.isClassMethod();
+}
+
+// The doc comment right before `path` or the statement holding it
+function docCommentAt(path) {
+  for (let current = path; current; current = current.parentPath) {
+    const comments = current.node.leadingComments || [];
+    const last = comments[comments.length - 1];
+    if (last && isDocComment(last)) return last;
+    if (isCommentBoundary(current)) return null;
+  }
+  return null;
+}
+
+function sourceOf(code, node) {
+  return code.slice(node.start, node.end);
+}
+
+function typeAnnotationOf(code, node) {
+  const annotation = node.typeAnnotation || node.returnType;
+  return annotation && annotation.typeAnnotation
+    ? sourceOf(code, annotation.typeAnnotation)
+    : null;
+}
+
+// A parameter as the code declares it
+function signatureParam(param, code) {
+  switch (param.type) {
+    case 'Identifier':
+      return {
+        name: param.name,
+        type: typeAnnotationOf(code, param),
+        optional: Boolean(param.optional),
+      };
+    case 'AssignmentPattern':
+      return {
+        ...signatureParam(param.left, code),
+        optional: true,
+        default: sourceOf(code, param.right),
+      };
+    case 'RestElement': {
+      // TypeScript annotates the rest element, not its argument
+      const inner = signatureParam(param.argument, code);
+      return {
+        ...inner,
+        type: typeAnnotationOf(code, param) || inner.type,
+        rest: true,
+      };
+    }
+    case 'TSParameterProperty':
+      return signatureParam(param.parameter, code);
+    default: {
+      // Destructured: no name of its own
+      const keys =
+        param.type === 'ObjectPattern' &&
+        !param.properties.some((p) => p.type === 'RestElement')
+          ? param.properties
+              .filter((p) => !p.computed && p.key.type === 'Identifier')
+              .map((p) => p.key.name)
+          : null;
+      return {
+        name: null,
+        pattern: code
+          .slice(
+            param.start,
+            param.typeAnnotation ? param.typeAnnotation.start : param.end,
+          )
+          .trim(),
+        type: typeAnnotationOf(code, param),
+        optional: false,
+        keys,
+      };
+    }
+  }
+}
+
+function returnsValue(path) {
+  const body = path.get('body');
+  if (!body.isBlockStatement()) return true;
+  let found = false;
+  body.traverse({
+    Function(inner) {
+      inner.skip();
+    },
+    ReturnStatement(statement) {
+      if (statement.node.argument) {
+        found = true;
+        statement.stop();
+      }
+    },
+  });
+  return found;
+}
+
+function formatSignature(name, params) {
+  const list = params.map((param) => {
+    const label = param.name || param.pattern;
+    if (param.rest) return `...${label}`;
+    if (param.default !== undefined) return `${label} = ${param.default}`;
+    return param.optional && param.name ? `${label}?` : label;
+  });
+  return `${name}(${list.join(', ')})`;
+}
+
+/**
+ * Pair the declared parameters with their `@param` tags. Returns the
+ * documented parameters and the mismatches found on the way. A comment
+ * without `@param` tags describes parameters in prose and is not checked.
+ */
+function matchParams(declared, doc, label) {
+  const mismatches = [];
+  const tags = doc ? doc.params.filter((p) => !p.name.includes('.')) : [];
+  const nested = doc ? doc.params.filter((p) => p.name.includes('.')) : [];
+  const declaredNames = declared.map((param) => param.name);
+  // Order is compared among the parameters that are both declared and
+  // tagged, so one missing tag does not put every later one out of order
+  const taggedNames = tags
+    .map((tag) => tag.name)
+    .filter((name) => declaredNames.includes(name));
+  const declaredTagged = declaredNames.filter((name) =>
+    taggedNames.includes(name),
+  );
+
+  const params = declared.map((param, position) => {
+    const tag = param.name
+      ? tags.find((candidate) => candidate.name === param.name)
+      : tags[position];
+    const name = param.name || (tag && tag.name) || param.pattern;
+
+    if (tags.length > 0 && !tag) {
+      mismatches.push({
+        type: 'undocumented-param',
+        message: `Parameter '${name}' of ${label} has no @param tag`,
+      });
+    } else if (
+      tag &&
+      param.name &&
+      taggedNames.indexOf(param.name) !== declaredTagged.indexOf(param.name)
+    ) {
+      mismatches.push({
+        type: 'param-order',
+        message: `@param '${param.name}' of ${label} is out of order: it is parameter ${position + 1}`,
+      });
+    }
+
+    const properties = nested
+      .filter((entry) => entry.name.startsWith(`${name}.`))
+      .map((entry) => ({ ...entry, name: entry.name.slice(name.length + 1) }));
+    properties.forEach((property) => {
+      const key = property.name.split('.')[0];
+      if (param.keys && !param.keys.includes(key)) {
+        mismatches.push({
+          type: 'unknown-param',
+          message: `@param '${name}.${property.name}' of ${label} names a property the parameter does not destructure`,
+        });
+      }
+    });
+
+    return {
+      name,
+      type: param.type || (tag && tag.type) || null,
+      description: tag ? tag.description : null,
+      optional: param.optional || Boolean(tag && tag.optional),
+      ...(param.default !== undefined && { default: param.default }),
+      ...(param.rest && { rest: true }),
+      ...(properties.length > 0 && { properties }),
+    };
+  });
+
+  tags.forEach((tag, position) => {
+    if (declaredNames.includes(tag.name)) return;
+    // A destructured parameter goes by the tag in its position
+    if (declared[position] && declared[position].name === null) return;
+    mismatches.push({
+      type: 'unknown-param',
+      message: `@param '${tag.name}' of ${label} does not match any parameter`,
+    });
+  });
+  return { params, mismatches };
+}
+
+// Documentation of a function, method or class constructor
+function describeCallable(path, code, { name, label, kind, comment }) {
+  const doc = comment ? parseJsDoc(comment) : null;
+  const declared = path.node.params.map((param) => signatureParam(param, code));
+  const { params, mismatches } = matchParams(declared, doc, label);
+
+  const entry = {
+    name,
+    kind,
+    line: path.node.loc.start.line,
+    // Accessors are used as properties, not called
+    signature:
+      kind === 'getter' || kind === 'setter'
+        ? name
+        : formatSignature(name, params),
+    description: doc ? doc.description : null,
+    params,
+    documented: Boolean(doc),
+  };
+  if (kind === 'constructor') return { entry, doc, mismatches };
+
+  const returns = doc && doc.returns;
+  const returnType = typeAnnotationOf(code, path.node);
+  Object.assign(entry, {
+    async: Boolean(path.node.async),
+    generator: Boolean(path.node.generator),
+    returns:
+      returns || returnType
+        ? {
+            type: returnType || (returns && returns.type) || null,
+            description: returns ? returns.description : null,
+          }
+        : null,
+    throws: doc ? doc.throws : [],
+    examples: doc ? doc.examples : [],
+    tags: doc ? doc.tags : [],
+  });
+
+  // Async functions and generators return a value whatever their body says
+  const checkReturns =
+    doc &&
+    !entry.async &&
+    !entry.generator &&
+    ['function', 'method'].includes(kind);
+  if (checkReturns && doc.returns && !returnsValue(path)) {
+    mismatches.push({
+      type: 'unused-returns',
+      message: `${label} has a @returns tag but never returns a value`,
+    });
+  }
+  // Like parameters, a missing @returns only counts in tagged comments
+  if (
+    checkReturns &&
+    !doc.returns &&
+    doc.params.length > 0 &&
+    returnsValue(path)
+  ) {
+    mismatches.push({
+      type: 'missing-returns',
+      message: `${label} returns a value but has no @returns tag`,
+    });
+  }
+  return { entry, doc, mismatches };
+}
+
+function methodName(method, code) {
+  if (method.computed) return `[${sourceOf(code, method.key)}]`;
+  return method.key.name || String(method.key.value);
+}
+
+function describeClass(path, code, { name, comment }) {
+  let doc = comment ? parseJsDoc(comment) : null;
+  const mismatches = [];
+  const methods = [];
+  let constructorEntry = null;
+
+  path.get('body.body').forEach((member) => {
+    const { node } = member;
+    if (
+      !member.isClassMethod() ||
+      node.key.type === 'PrivateName' ||
+      ['private', 'protected'].includes(node.accessibility)
+    ) {
+      return;
+    }
+    const own = docCommentAt(member);
+
+    if (node.kind === 'constructor') {
+      // The class comment documents the constructor unless it has its own
+      const result = describeCallable(member, code, {
+        name,
+        label: `new ${name}()`,
+        kind: 'constructor',
+        comment: own || comment,
+      });
+      constructorEntry = result.entry;
+      // A constructor comment documents an otherwise bare class
+      if (!doc) doc = result.doc;
+      mismatches.push(
+        ...result.mismatches.map((m) => ({
+          ...m,
+          name,
+          line: node.loc.start.line,
+        })),
+      );
+      return;
+    }
+
+    const key = methodName(node, code);
+    const qualified = `${name}${node.static ? '.' : '#'}${key}`;
+    const kind = { get: 'getter', set: 'setter' }[node.kind] || 'method';
+    const result = describeCallable(member, code, {
+      name: key,
+      label: `${qualified}()`,
+      kind,
+      comment: own,
+    });
+    methods.push({
+      ...result.entry,
+      static: Boolean(node.static),
+      qualified_name: qualified,
+    });
+    mismatches.push(
+      ...result.mismatches.map((m) => ({
+        ...m,
+        name: qualified,
+        line: node.loc.start.line,
+      })),
+    );
+  });
+
+  const entry = {
+    name,
+    kind: 'class',
+    line: path.node.loc.start.line,
+    extends: path.node.superClass ? sourceOf(code, path.node.superClass) : null,
+    signature: `new ${formatSignature(name, constructorEntry ? constructorEntry.params : [])}`,
+    description: doc ? doc.description : null,
+    params: constructorEntry ? constructorEntry.params : [],
+    methods,
+    examples: doc ? doc.examples : [],
+    tags: doc ? doc.tags : [],
+    documented: Boolean(doc),
+  };
+  return { entry, mismatches };
+}
+
+// The function or class an exported expression stands for, and the
+// paths whose comments may document it (closest first)
+function resolveExport(path, programScope) {
+  if (path.isFunction() || path.isClass())
+    return { target: path, sites: [path] };
+  if (!path.isIdentifier()) return null;
+
+  const binding = programScope.getBinding(path.node.name);
+  if (!binding) return null;
+  const declaration = binding.path;
+  if (declaration.isFunctionDeclaration() || declaration.isClassDeclaration()) {
+    return { target: declaration, sites: [declaration] };
+  }
+  if (declaration.isVariableDeclarator()) {
+    const init = declaration.get('init');
+    if (init.node && (init.isFunction() || init.isClass())) {
+      return { target: init, sites: [init] };
+    }
+  }
+  return null;
+}
+
+// `module.exports` / `exports`, optionally followed by `.name`
+function commonJsTarget(node) {
+  const isModuleExports = (n) =>
+    n.type === 'MemberExpression' &&
+    !n.computed &&
+    n.object.type === 'Identifier' &&
+    n.object.name === 'module' &&
+    n.property.name === 'exports';
+  if (isModuleExports(node)) return { whole: true };
+  if (
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    (isModuleExports(node.object) ||
+      (node.object.type === 'Identifier' && node.object.name === 'exports'))
+  ) {
+    return { whole: false, name: node.property.name };
+  }
+  return null;
+}
+
+/**
+ * The exports of a program as [{ name, target, sites }]: `target` is the
+ * function or class path, `sites` the paths to look for its comment at.
+ */
+function collectExports(programPath) {
+  const scope = programPath.scope;
+  const found = [];
+  const add = (name, valuePath, site) => {
+    const resolved = resolveExport(valuePath, scope);
+    if (!resolved) return;
+    found.push({
+      name,
+      target: resolved.target,
+      sites: [...resolved.sites, site],
+    });
+  };
+
+  programPath.get('body').forEach((statement) => {
+    if (statement.isExportNamedDeclaration()) {
+      const declaration = statement.get('declaration');
+      if (
+        declaration.isFunctionDeclaration() ||
+        declaration.isClassDeclaration()
+      ) {
+        add(declaration.node.id.name, declaration, statement);
+      } else if (declaration.isVariableDeclaration()) {
+        declaration.get('declarations').forEach((declarator) => {
+          if (
+            declarator.node.id.type === 'Identifier' &&
+            declarator.node.init
+          ) {
+            add(declarator.node.id.name, declarator.get('init'), declarator);
+          }
+        });
+      } else if (!statement.node.source) {
+        statement.get('specifiers').forEach((specifier) => {
+          const exported = specifier.node.exported;
+          add(
+            exported.name || exported.value,
+            specifier.get('local'),
+            specifier,
+          );
+        });
+      }
+    } else if (statement.isExportDefaultDeclaration()) {
+      const declaration = statement.get('declaration');
+      const id = declaration.node.id;
+      add(id ? id.name : 'default', declaration, statement);
+    } else if (
+      statement.isExpressionStatement() &&
+      statement.get('expression').isAssignmentExpression({ operator: '=' })
+    ) {
+      const assignment = statement.get('expression');
+      const target = commonJsTarget(assignment.node.left);
+      if (!target) return;
+      const value = assignment.get('right');
+
+      if (!target.whole) {
+        add(target.name, value, statement);
+      } else if (value.isObjectExpression()) {
+        value.get('properties').forEach((property) => {
+          if (property.node.computed) return;
+          const key = property.node.key;
+          const name = key.name || String(key.value);
+          if (property.isObjectMethod()) add(name, property, property);
+          else if (property.isObjectProperty())
+            add(name, property.get('value'), property);
+        });
+      } else {
+        const id = value.node.id;
+        const name = value.isIdentifier()
+          ? value.node.name
+          : (id && id.name) || 'module.exports';
+        add(name, value, statement);
+      }
+    }
+  });
+  return found;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 100;
+}
+
+/**
+ * Document the exported functions and classes of a parsed program.
+ * Returns { exports, coverage, mismatches }. A value exported under
+ * several names is documented once, the other names listed in `aliases`. Coverage counts exports and
+ * public class methods that have a doc comment. A null `ast` (code that
+ * did not parse) documents nothing.
+ */
+function documentExports(ast, code) {
+  let programPath = null;
+  if (ast) {
+    traverse(ast, {
+      Program(path) {
+        programPath = path;
+        path.stop();
+      },
+    });
+  }
+
+  const entries = [];
+  const mismatches = [];
+  const byTarget = new Map();
+  (programPath ? collectExports(programPath) : []).forEach(
+    ({ name, target, sites }) => {
+      // `export { a, a as b }` documents a once, with b as an alias
+      const existing = byTarget.get(target.node);
+      if (existing) {
+        if (name !== existing.name && !existing.aliases.includes(name)) {
+          existing.aliases.push(name);
+        }
+        return;
+      }
+      const record = (entry) => {
+        const recorded = { name: entry.name, aliases: [], ...entry };
+        byTarget.set(target.node, recorded);
+        entries.push(recorded);
+      };
+
+      const comment = sites.map(docCommentAt).find(Boolean) || null;
+      if (target.isClass()) {
+        const result = describeClass(target, code, { name, comment });
+        record(result.entry);
+        mismatches.push(...result.mismatches);
+        return;
+      }
+      const result = describeCallable(target, code, {
+        name,
+        label: `${name}()`,
+        kind: 'function',
+        comment,
+      });
+      record(result.entry);
+      mismatches.push(
+        ...result.mismatches.map((m) => ({
+          ...m,
+          name,
+          line: result.entry.line,
+        })),
+      );
+    },
+  );
+
+  const items = entries.flatMap((entry) => [
+    { name: entry.name, documented: entry.documented },
+    ...(entry.methods || []).map((method) => ({
+      name: method.qualified_name,
+      documented: method.documented,
+    })),
+  ]);
+  const documented = items.filter((item) => item.documented).length;
+
+  return {
+    exports: entries.sort((a, b) => a.line - b.line),
+    coverage: {
+      total: items.length,
+      documented,
+      percentage: percentage(documented, items.length),
+      undocumented: items
+        .filter((item) => !item.documented)
+        .map((item) => item.name),
+    },
+    mismatches: mismatches.map(({ name, line, type, message }) => ({
+      name,
+      line,
+      type,
+      message,
+    })),
+  };
+}
+
+// Table cells are single-line and may not contain `|`
+function cell(text) {
+  return text
+    ? String(text)
+        .replace(/\|/g, '\\|')
+        .replace(/\s*\n\s*/g, ' ')
+    : '';
+}
+
+function paramRow(name, { type, description, optional }, extra = '') {
+  const label = `\`${cell(name)}\`${optional ? ' (optional)' : ''}`;
+  const text = [cell(description), extra].filter(Boolean).join(' ');
+  return `| ${label} | ${type ? `\`${cell(type)}\`` : ''} | ${text} |`;
+}
+
+function renderParams(params, lines) {
+  if (params.length === 0) return;
+  lines.push(
+    '**Parameters**',
+    '',
+    '| Name | Type | Description |',
+    '| --- | --- | --- |',
+  );
+  params.forEach((param) => {
+    const extra =
+      param.default !== undefined ? `Default: \`${cell(param.default)}\`.` : '';
+    lines.push(
+      paramRow(`${param.rest ? '...' : ''}${param.name}`, param, extra),
+    );
+    (param.properties || []).forEach((property) => {
+      lines.push(paramRow(`${param.name}.${property.name}`, property));
+    });
+  });
+  lines.push('');
+}
+
+function renderAliases(entry, lines) {
+  if (!entry.aliases || entry.aliases.length === 0) return;
+  const names = entry.aliases.map((alias) => `\`${alias}\``).join(', ');
+  lines.push(`Also exported as ${names}.`, '');
+}
+
+function renderCallable(entry, heading, lines) {
+  lines.push(`${heading} \`${entry.signature}\``, '');
+  renderAliases(entry, lines);
+  if (entry.description) lines.push(entry.description, '');
+  renderParams(entry.params, lines);
+  if (entry.returns) {
+    const type = entry.returns.type ? ` \`${entry.returns.type}\`` : '';
+    const description = entry.returns.description
+      ? `: ${entry.returns.description}`
+      : '';
+    lines.push(`**Returns**${type}${description}`, '');
+  }
+  (entry.throws || []).forEach((thrown) => {
+    const type = thrown.type ? ` \`${thrown.type}\`` : '';
+    const description = thrown.description ? `: ${thrown.description}` : '';
+    lines.push(`**Throws**${type}${description}`, '');
+  });
+  (entry.examples || []).forEach((example) => {
+    lines.push('**Example**', '', '```js', example, '```', '');
+  });
+}
+
+/**
+ * Render `exports` (from documentExports) as a Markdown API reference.
+ */
+function renderMarkdown(exports, { title = 'API Reference' } = {}) {
+  const lines = [`# ${title}`, ''];
+  if (exports.length === 0) {
+    lines.push('No exported functions or classes.', '');
+  }
+
+  exports.forEach((entry) => {
+    if (entry.kind !== 'class') {
+      renderCallable(entry, '##', lines);
+      return;
+    }
+    const parent = entry.extends ? ` extends \`${entry.extends}\`` : '';
+    lines.push(`## class \`${entry.name}\`${parent}`, '');
+    renderAliases(entry, lines);
+    if (entry.description) lines.push(entry.description, '');
+    lines.push(`\`${entry.signature}\``, '');
+    renderParams(entry.params, lines);
+    (entry.examples || []).forEach((example) => {
+      lines.push('**Example**', '', '```js', example, '```', '');
+    });
+    entry.methods.forEach((method) => {
+      renderCallable(
+        {
+          ...method,
+          signature: `${method.qualified_name}${method.signature.slice(method.name.length)}`,
+        },
+        '###',
+        lines,
+      );
+    });
+  });
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  documentExports,
+  renderMarkdown,
+  parseJsDoc,
+  DOCUMENT_FORMATS,
+};
@@ -0,0 +1,260 @@
+/**
+ * Duplicate Detection
+ * Copy-pasted code found by comparing normalized token sequences
+ *
+ * Every identifier token is replaced by one placeholder, so a block that
+ * was copied and had its variables renamed still matches the original;
+ * keywords, punctuation and literals are compared as written. Windows of
+ * `min_tokens` tokens are hashed, and windows that hash alike are grown
+ * into the longest matching runs, each reported as a pair of copies. A
+ * clone whose tokens also match as written is `exact`, otherwise
+ * `renamed`. Comments and whitespace never count.
+ */
+
+const { parseCode } = require('./parser');
+
+const DEFAULTS = { min_tokens: 50, min_lines: 5 };
+const LIMITS = { min_tokens: 10, min_lines: 1 };
+
+// Names the tokenizer reports as identifiers but that act as keywords
+const CONTEXTUAL_KEYWORDS = [
+  'as',
+  'async',
+  'await',
+  'from',
+  'get',
+  'let',
+  'of',
+  'set',
+  'static',
+];
+const IDENTIFIER_TOKENS = ['name', 'jsxName', 'privateName'];
+
+// Later copies of a window each window is compared with; bounds the work
+// on generated or highly repetitive code
+const MAX_PARTNERS = 20;
+
+// Rolling hash parameters (products stay below 2^53)
+const HASH_BASE = 1000003;
+const HASH_MODULUS = 2147483647;
+
+class DuplicationOptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DuplicationOptionError';
+  }
+}
+
+function resolveOptions(options) {
+  const resolved = {};
+  Object.keys(DEFAULTS).forEach((name) => {
+    const value = options[name] === undefined ? DEFAULTS[name] : options[name];
+    if (!Number.isInteger(value) || value < LIMITS[name]) {
+      throw new DuplicationOptionError(
+        `${name} must be an integer of at least ${LIMITS[name]}`,
+      );
+    }
+    resolved[name] = value;
+  });
+  return resolved;
+}
+
+function isCodeToken(token) {
+  return typeof token.type === 'object' && token.type.label !== 'eof';
+}
+
+function isIdentifier(token, text) {
+  return (
+    IDENTIFIER_TOKENS.includes(token.type.label) &&
+    !CONTEXTUAL_KEYWORDS.includes(text)
+  );
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+// Location of tokens [first, last] in the issue location fields
+function fragment(source, first, last) {
+  return {
+    ...(source.file !== undefined && { file: source.file }),
+    line: first.loc.start.line,
+    column: first.loc.start.column + 1,
+    end_line: last.loc.end.line,
+    end_column: last.loc.end.column + 1,
+  };
+}
+
+function markLines(lines, token) {
+  for (let line = token.loc.start.line; line <= token.loc.end.line; line++) {
+    lines.add(line);
+  }
+}
+
+/**
+ * Find clones within and across `sources`, each `{ file, code, language }`
+ * (`file` is omitted for a lone snippet) or `{ file, code, tokens }` with
+ * tokens from parseCode. Options: `min_tokens` (default 50) and
+ * `min_lines` (default 5), the smallest clone reported. Throws
+ * DuplicationOptionError.
+ */
+function findDuplicates(sources, options = {}) {
+  const { min_tokens: minTokens, min_lines: minLines } =
+    resolveOptions(options);
+
+  // All files' code tokens end to end; a position indexes these arrays
+  const ids = [];
+  const raw = [];
+  const tokens = [];
+  const owner = [];
+  const fileEnd = [];
+  const codeLines = sources.map(() => new Set());
+  const symbols = new Map();
+  const intern = (key) => {
+    if (!symbols.has(key)) symbols.set(key, symbols.size);
+    return symbols.get(key);
+  };
+
+  sources.forEach((source, index) => {
+    const fileTokens =
+      source.tokens ||
+      (parseCode(source.code, source.language).ast || { tokens: [] }).tokens;
+    const start = ids.length;
+    fileTokens.filter(isCodeToken).forEach((token) => {
+      const text = source.code.slice(token.start, token.end);
+      ids.push(intern(isIdentifier(token, text) ? '\u0000id' : text));
+      raw.push(intern(text));
+      tokens.push(token);
+      owner.push(index);
+      markLines(codeLines[index], token);
+    });
+    for (let i = start; i < ids.length; i++) fileEnd.push(ids.length);
+  });
+
+  // Windows of minTokens tokens by hash, in position order
+  const windows = new Map();
+  const windowHash = new Map();
+  let power = 1;
+  for (let i = 1; i < minTokens; i++) {
+    power = (power * HASH_BASE) % HASH_MODULUS;
+  }
+  let hash = 0;
+  for (let i = 0; i < ids.length; i++) {
+    const start = i - minTokens + 1;
+    if (i === 0 || owner[i - 1] !== owner[i]) {
+      hash = 0;
+    } else if (start > 0 && owner[start - 1] === owner[i]) {
+      // Drop the token that left the window
+      hash =
+        (hash - ((ids[start - 1] * power) % HASH_MODULUS) + HASH_MODULUS) %
+        HASH_MODULUS;
+    }
+    hash = (hash * HASH_BASE + ids[i]) % HASH_MODULUS;
+    if (start < 0 || owner[start] !== owner[i]) continue;
+
+    if (!windows.has(hash)) windows.set(hash, []);
+    windowHash.set(start, hash);
+    windows.get(hash).push(start);
+  }
+
+  // Grow each pair of matching windows into the longest run. A run is
+  // grown once: pairs further along the same diagonal (same distance
+  // between the copies) lie inside it.
+  const clones = [];
+  const grownUntil = new Map();
+  const grow = (first, second) => {
+    const distance = second - first;
+    if (first < (grownUntil.get(distance) || 0)) return;
+
+    let length = 0;
+    while (
+      first + length < fileEnd[first] &&
+      second + length < fileEnd[second] &&
+      ids[first + length] === ids[second + length]
+    ) {
+      length++;
+    }
+    grownUntil.set(distance, first + length);
+    // Overlapping copies (repetitive code) only count up to the overlap
+    if (owner[first] === owner[second]) length = Math.min(length, distance);
+
+    const last = first + length - 1;
+    const lines = tokens[last].loc.end.line - tokens[first].loc.start.line + 1;
+    if (length < minTokens || lines < minLines) return;
+
+    let exact = true;
+    for (let i = 0; i < length && exact; i++) {
+      exact = raw[first + i] === raw[second + i];
+    }
+    clones.push({ first, second, length, lines, exact });
+  };
+
+  const seen = new Map();
+  windowHash.forEach((windowKey, first) => {
+    const positions = windows.get(windowKey);
+    const index = seen.get(windowKey) || 0;
+    seen.set(windowKey, index + 1);
+    positions
+      .slice(index + 1, index + 1 + MAX_PARTNERS)
+      .forEach((second) => grow(first, second));
+  });
+
+  const duplicatedLines = sources.map(() => new Set());
+  clones.forEach(({ first, second, length }) => {
+    [first, second].forEach((start) => {
+      for (let i = start; i < start + length; i++) {
+        markLines(duplicatedLines[owner[i]], tokens[i]);
+      }
+    });
+  });
+
+  const totalLines = codeLines.reduce((sum, lines) => sum + lines.size, 0);
+  const duplicated = duplicatedLines.reduce(
+    (sum, lines) => sum + lines.size,
+    0,
+  );
+  const exactCount = clones.filter((clone) => clone.exact).length;
+
+  const result = {
+    clone_count: clones.length,
+    exact_clones: exactCount,
+    renamed_clones: clones.length - exactCount,
+    duplicated_lines: duplicated,
+    total_lines: totalLines,
+    duplication_percentage: percentage(duplicated, totalLines),
+    min_tokens: minTokens,
+    min_lines: minLines,
+    clones: clones.map(({ first, second, length, lines, exact }) => ({
+      type: exact ? 'exact' : 'renamed',
+      tokens: length,
+      lines,
+      first: fragment(
+        sources[owner[first]],
+        tokens[first],
+        tokens[first + length - 1],
+      ),
+      second: fragment(
+        sources[owner[second]],
+        tokens[second],
+        tokens[second + length - 1],
+      ),
+    })),
+  };
+
+  if (sources.some((source) => source.file !== undefined)) {
+    result.files = {};
+    sources.forEach((source, index) => {
+      result.files[source.file] = {
+        duplicated_lines: duplicatedLines[index].size,
+        total_lines: codeLines[index].size,
+        duplication_percentage: percentage(
+          duplicatedLines[index].size,
+          codeLines[index].size,
+        ),
+      };
+    });
+  }
+  return result;
+}
+
+module.exports = { findDuplicates, DuplicationOptionError, DEFAULTS };
@@ -0,0 +1,415 @@
+/**
+ * Processing Engine
+ * The one implementation of validate / analyze / format / fix shared by
+ * the CLI tools, the HTTP service and the MCP servers
+ *
+ * Every result carries `engine_version`. Bump it whenever the output of an
+ * operation changes for the same input (new rules, metric changes, schema
+ * changes), so results from different engine versions can be told apart.
+ */
+
+const { parseCode, formatParseError, LANGUAGE_PLUGINS } = require('./parser');
+const { detectIssues } = require('./checks');
+const {
+  analyzeFunctions,
+  calculateComplexity,
+  getComplexityRating,
+} = require('./metrics');
+const { validateCode: validateSource } = require('./validator');
+const { formatCode: formatSource } = require('./formatter');
+const { fixCode: fixSource } = require('./fixer');
+const { runDeepAnalysis } = require('./deep-analysis');
+const { analyzeProject, languageForPath } = require('./project');
+const { findDuplicates } = require('./duplicates');
+const { documentExports, renderMarkdown } = require('./documentation');
+const { executeCode: runInSandbox } = require('./sandbox');
+const { timed } = require('./logger');
+const {
+  resolveHead,
+  compareAnalyses,
+  evaluateGate,
+} = require('./diff-analysis');
+
+const ENGINE_VERSION = '1.6.0';
+
+// What `POST /process` can run, in the order it runs them
+const PROCESS_OPERATIONS = [
+  'validate',
+  'analyze',
+  'duplicates',
+  'format',
+  'execute',
+];
+
+class ProcessOptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProcessOptionError';
+  }
+}
+
+/**
+ * Check that `operations` is an array of PROCESS_OPERATIONS names; anything
+ * else throws ProcessOptionError. Returns `operations`.
+ */
+function checkOperations(operations) {
+  if (
+    !Array.isArray(operations) ||
+    operations.some((operation) => !PROCESS_OPERATIONS.includes(operation))
+  ) {
+    throw new ProcessOptionError(
+      `operations must be an array of: ${PROCESS_OPERATIONS.join(', ')}`,
+    );
+  }
+  return operations;
+}
+
+function countBySeverity(issues) {
+  return {
+    total_issues: issues.length,
+    high: issues.filter((i) => i.severity === 'high').length,
+    medium: issues.filter((i) => i.severity === 'medium').length,
+    low: issues.filter((i) => i.severity === 'low').length,
+    info: issues.filter((i) => i.severity === 'info').length,
+  };
+}
+
+// The analysis result shape, shared by plain and deep analysis
+function buildAnalysis(
+  code,
+  language,
+  { ast, errors, issues, functions, duplication },
+) {
+  const lines = code.split('\n').length;
+  const chars = code.length;
+  const complexity = ast ? calculateComplexity(ast) : 1;
+
+  return {
+    engine_version: ENGINE_VERSION,
+    language,
+    metrics: {
+      lines,
+      characters: chars,
+      words: code.split(/\s+/).filter((w) => w).length,
+      complexity,
+      complexity_rating: getComplexityRating(complexity),
+      function_count: functions.length,
+      average_line_length: Math.round(chars / lines),
+    },
+    duplication,
+    functions,
+    issues,
+    parse_errors: errors.map(formatParseError),
+    summary: countBySeverity(issues),
+    analyzed_at: new Date().toISOString(),
+  };
+}
+
+// Languages the parser cannot read (e.g. css) are checked as JavaScript,
+// as analysis does
+function scriptLanguage(language) {
+  return LANGUAGE_PLUGINS[language] ? language : 'javascript';
+}
+
+/**
+ * Options: language, sourceType (unambiguous | script | module), strict.
+ */
+function validateCode(code, options = {}) {
+  return { engine_version: ENGINE_VERSION, ...validateSource(code, options) };
+}
+
+function analyzeCode(code, language = 'javascript', { rules } = {}) {
+  const { ast, errors } = parseCode(code, language);
+
+  return buildAnalysis(code, language, {
+    ast,
+    errors,
+    issues: ast ? detectIssues(ast, { rules }) : [],
+    functions: ast ? analyzeFunctions(ast, code) : [],
+    duplication: findDuplicates([{ code, tokens: ast ? ast.tokens : [] }]),
+  });
+}
+
+/**
+ * Analyze a change: `base` plus either `head` or a unified diff `patch`.
+ * Issues are split into new / fixed / unchanged, functions carry their
+ * complexity delta, and `gate` says whether the change passes at the
+ * `failOn` severity.
+ */
+function analyzeDiff(
+  { base, head, patch },
+  { language = 'javascript', rules, failOn = 'high' } = {},
+) {
+  const headCode = resolveHead({ base, head, patch });
+  const before = analyzeCode(base, language, { rules });
+  const after = analyzeCode(headCode, language, { rules });
+  const { issues, functions } = compareAnalyses(base, headCode, before, after);
+
+  return {
+    engine_version: ENGINE_VERSION,
+    language,
+    issues,
+    functions,
+    metrics: {
+      base: before.metrics,
+      head: after.metrics,
+      complexity_delta: after.metrics.complexity - before.metrics.complexity,
+    },
+    parse_errors: { base: before.parse_errors, head: after.parse_errors },
+    summary: {
+      new: countBySeverity(issues.new),
+      fixed: countBySeverity(issues.fixed),
+      unchanged: issues.unchanged.length,
+    },
+    gate: evaluateGate(issues.new, after.parse_errors, failOn),
+    analyzed_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Multi-pass analysis: the `analyzeCode` result plus ranked `hotspots`.
+ * Takes the `runDeepAnalysis` options (rules, onProgress, signal).
+ */
+async function analyzeCodeDeep(code, language = 'javascript', options = {}) {
+  const context = await runDeepAnalysis(code, { ...options, language });
+
+  return {
+    ...buildAnalysis(code, language, context),
+    hotspots: context.hotspots,
+    deep: true,
+  };
+}
+
+// Duplicate detection sources for a snippet or a { path: source } map
+function duplicationSources(input, language) {
+  if (typeof input === 'string') return [{ code: input, language }];
+  return Object.keys(input)
+    .sort()
+    .map((file) => ({
+      file,
+      code: input[file],
+      language: languageForPath(file),
+    }));
+}
+
+/**
+ * Analyze a { path: source } map of files as one project. `duplication`
+ * covers clones across files as well as within them.
+ */
+function analyzeProjectFiles(files, options = {}) {
+  return {
+    engine_version: ENGINE_VERSION,
+    ...analyzeProject(files, (code, language) =>
+      analyzeCode(code, language, options),
+    ),
+    duplication: findDuplicates(duplicationSources(files)),
+    analyzed_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Find copy-pasted code in a snippet or across a { path: source } map of
+ * files. Options: language (snippets only; files go by extension),
+ * min_tokens, min_lines.
+ */
+function detectDuplicates(input, { language = 'javascript', ...options } = {}) {
+  return {
+    engine_version: ENGINE_VERSION,
+    ...(typeof input === 'string' && { language }),
+    ...findDuplicates(duplicationSources(input, language), options),
+    analyzed_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * API reference for the exported functions and classes: the JSON model
+ * (`exports`), doc comment `coverage`, `mismatches` between comments and
+ * signatures, and the same reference rendered as `markdown`.
+ */
+function documentCode(code, language = 'javascript') {
+  const { ast, errors } = parseCode(code, language);
+  const api = documentExports(ast, code);
+
+  return {
+    engine_version: ENGINE_VERSION,
+    language,
+    ...api,
+    markdown: renderMarkdown(api.exports),
+    parse_errors: errors.map(formatParseError),
+    generated_at: new Date().toISOString(),
+  };
+}
+
+async function formatCode(code, language = 'javascript', options = {}) {
+  return {
+    engine_version: ENGINE_VERSION,
+    ...(await formatSource(code, language, options)),
+  };
+}
+
+function fixCode(code, language = 'javascript', rules) {
+  return {
+    engine_version: ENGINE_VERSION,
+    ...fixSource(code, {
+      language,
+      rules,
+      validate: (source) => validateSource(source, { language }),
+    }),
+  };
+}
+
+/**
+ * Run a snippet in the sandbox. Options: timeout_ms, memory_limit_mb,
+ * max_output_bytes.
+ */
+async function executeCode(code, options = {}) {
+  return {
+    engine_version: ENGINE_VERSION,
+    ...(await runInSandbox(code, options)),
+    executed_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Run several operations over the same code; the `POST /process` result.
+ * `redactSecrets` masks secrets in the echoed formatting output;
+ * `duplicates` holds the min_tokens / min_lines duplicate detection options.
+ * `onTiming({ operation, duration_ms, outcome })` is told how each
+ * operation went (`outcome` is ok or error).
+ */
+async function processCode(
+  code,
+  {
+    language = 'javascript',
+    operations = ['validate', 'analyze'],
+    rules,
+    sourceType,
+    strict,
+    execution,
+    duplicates,
+    redactSecrets,
+    onTiming = () => {},
+  } = {},
+) {
+  checkOperations(operations);
+  const results = {};
+
+  const step = (operation, run) => timed(operation, run, onTiming);
+
+  if (operations.includes('validate')) {
+    results.validation = await step('validate', () =>
+      validateCode(code, {
+        language: scriptLanguage(language),
+        sourceType,
+        strict,
+      }),
+    );
+  }
+  if (operations.includes('analyze')) {
+    results.analysis = await step('analyze', () =>
+      analyzeCode(code, language, { rules }),
+    );
+  }
+  if (operations.includes('duplicates')) {
+    results.duplication = await step('duplicates', () =>
+      detectDuplicates(code, {
+        ...duplicates,
+        language: scriptLanguage(language),
+      }),
+    );
+  }
+  if (operations.includes('format')) {
+    results.formatting = await step('format', () =>
+      formatCode(code, language, { redactSecrets }),
+    );
+  }
+  if (operations.includes('execute')) {
+    results.execution = await step('execute', () =>
+      executeCode(code, execution),
+    );
+  }
+
+  return {
+    engine_version: ENGINE_VERSION,
+    results,
+    operations_completed: operations,
+    processed_at: new Date().toISOString(),
+  };
+}
+
+function describeFragment({ file, line, end_line }) {
+  return `${file ? `${file}:` : 'lines '}${line}-${end_line}`;
+}
+
+/**
+ * Improvement suggestions for an analysis (single file, deep or project).
+ */
+function generateSuggestions(analysis) {
+  const suggestions = [];
+
+  if (analysis.metrics.complexity > 10) {
+    suggestions.push({
+      type: 'refactoring',
+      message: 'Consider breaking down complex functions into smaller ones',
+    });
+  }
+
+  analysis.functions.forEach((fn) => {
+    if (['complex', 'very_complex'].includes(fn.complexity_rating)) {
+      suggestions.push({
+        type: 'refactoring',
+        message: `Function '${fn.name}' (line ${fn.line}) has cyclomatic complexity ${fn.cyclomatic_complexity} - consider splitting it up`,
+      });
+    }
+  });
+
+  if (analysis.duplication) {
+    analysis.duplication.clones.forEach((clone) => {
+      suggestions.push({
+        type: 'refactoring',
+        message: `Extract the code duplicated at ${describeFragment(clone.first)} and ${describeFragment(clone.second)} (${clone.lines} lines) into a shared function`,
+      });
+    });
+  }
+
+  if (analysis.dependency_graph) {
+    analysis.dependency_graph.cycles.forEach((cycle) => {
+      suggestions.push({
+        type: 'architecture',
+        message: `Break the circular dependency between ${cycle.files.join(', ')}`,
+      });
+    });
+  }
+
+  analysis.issues.forEach((issue) => {
+    if (issue.severity === 'high') {
+      suggestions.push({
+        type: ['security', 'secrets'].includes(issue.category)
+          ? 'security'
+          : 'correctness',
+        message: `Fix ${issue.category} issue: ${issue.message}`,
+      });
+    }
+  });
+
+  return suggestions;
+}
+
+module.exports = {
+  ENGINE_VERSION,
+  PROCESS_OPERATIONS,
+  ProcessOptionError,
+  checkOperations,
+  validateCode,
+  analyzeCode,
+  analyzeCodeDeep,
+  analyzeDiff,
+  analyzeProjectFiles,
+  detectDuplicates,
+  documentCode,
+  formatCode,
+  fixCode,
+  executeCode,
+  processCode,
+  generateSuggestions,
+};
@@ -0,0 +1,165 @@
+/**
+ * Autofix
+ * Applies the safe fixes offered by the analyzer rules
+ *
+ * Fixes are text edits on the original source. Edits that overlap one
+ * already taken are skipped, and a statement deleted on a line of its own
+ * takes the whole line with it.
+ */
+
+const { createTwoFilesPatch } = require('diff');
+const { parseCode, formatParseError } = require('./parser');
+const { findFixes } = require('./checks');
+const { getRule, listRules, RuleConfigError } = require('./rules');
+
+function fixableRuleIds() {
+  return listRules()
+    .filter((rule) => rule.fixable)
+    .map((rule) => rule.id);
+}
+
+// Only the requested rules run, whatever the project config says
+function ruleSettings(ruleIds) {
+  const settings = {};
+  listRules().forEach((rule) => {
+    settings[rule.id] = ruleIds.includes(rule.id) ? 'on' : 'off';
+  });
+  return settings;
+}
+
+function checkRuleIds(ruleIds) {
+  if (!Array.isArray(ruleIds) || ruleIds.some((id) => typeof id !== 'string')) {
+    throw new RuleConfigError('rules must be a list of rule IDs');
+  }
+  ruleIds.forEach((id) => {
+    const rule = getRule(id);
+    if (!rule) {
+      throw new RuleConfigError(`Unknown rule: ${id}`);
+    }
+    if (!rule.fixable) {
+      throw new RuleConfigError(
+        `Rule ${id} has no autofix (fixable rules: ${fixableRuleIds().join(', ')})`,
+      );
+    }
+  });
+}
+
+// Grow a deletion to cover its whole line when nothing else is on it, or
+// over the whitespace before it when it ends the line
+function expandDeletion(code, edit) {
+  if (edit.text !== '') return edit;
+
+  const lineStart = code.lastIndexOf('\n', edit.start - 1) + 1;
+  let lineEnd = code.indexOf('\n', edit.end);
+  if (lineEnd === -1) lineEnd = code.length;
+
+  const before = code.slice(lineStart, edit.start);
+  const after = code.slice(edit.end, lineEnd);
+  if (after.trim() !== '') return edit;
+  if (before.trim() !== '') {
+    // Last statement on the line: drop the whitespace left in front of it
+    return { ...edit, start: lineStart + before.trimEnd().length };
+  }
+  return { ...edit, start: lineStart, end: Math.min(lineEnd + 1, code.length) };
+}
+
+function applyEdits(code, edits) {
+  return edits
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (text, edit) =>
+        text.slice(0, edit.start) + edit.text + text.slice(edit.end),
+      code,
+    );
+}
+
+function describe(issue) {
+  return {
+    rule_id: issue.rule_id,
+    message: issue.message,
+    line: issue.line,
+    column: issue.column,
+  };
+}
+
+/**
+ * Fix `code` for the given rule IDs (default: every fixable rule).
+ * `validate(code)` returns a { valid } result; if the fixed code fails
+ * validation where the original passed, no fixes are applied.
+ */
+function fixCode(
+  code,
+  { language = 'javascript', rules = fixableRuleIds(), validate } = {},
+) {
+  checkRuleIds(rules);
+
+  const { ast, errors } = parseCode(code, language);
+  const applied = [];
+  const skipped = [];
+  const edits = [];
+
+  if (ast) {
+    findFixes(ast, { rules: ruleSettings(rules) }).forEach(({ issue, fix }) => {
+      if (!fix.edits) {
+        skipped.push({ ...describe(issue), reason: fix.skip });
+        return;
+      }
+
+      const expanded = fix.edits.map((edit) => expandDeletion(code, edit));
+      const clash = edits.find((taken) =>
+        expanded.some(
+          (edit) => edit.start < taken.end && taken.start < edit.end,
+        ),
+      );
+      if (clash) {
+        const removed =
+          clash.text === '' &&
+          expanded.every((e) => e.start >= clash.start && e.end <= clash.end);
+        skipped.push({
+          ...describe(issue),
+          reason: removed
+            ? 'code removed by another fix'
+            : 'overlaps another fix',
+        });
+        return;
+      }
+      edits.push(...expanded);
+      applied.push(describe(issue));
+    });
+  }
+
+  let fixed = applyEdits(code, edits);
+  let validation = validate ? validate(fixed) : undefined;
+
+  if (validation && !validation.valid && validate(code).valid) {
+    skipped.push(
+      ...applied.map((entry) => ({
+        ...entry,
+        reason: 'fixed code failed validation',
+      })),
+    );
+    applied.length = 0;
+    fixed = code;
+    validation = validate(code);
+  }
+
+  return {
+    language,
+    rules,
+    original: code,
+    fixed,
+    changed: fixed !== code,
+    diff:
+      fixed !== code
+        ? createTwoFilesPatch('original', 'fixed', code, fixed)
+        : '',
+    applied,
+    skipped,
+    validation,
+    parse_errors: errors.map(formatParseError),
+    fixed_at: new Date().toISOString(),
+  };
+}
+
+module.exports = { fixCode, fixableRuleIds };
@@ -0,0 +1,149 @@
+/**
+ * Formatter
+ * Prettier-based formatting shared by the CLI tool and the HTTP service
+ */
+
+const prettier = require('prettier');
+const { createTwoFilesPatch } = require('diff');
+const { redactSecrets } = require('./secrets');
+
+const LANGUAGE_PARSERS = {
+  javascript: 'babel',
+  js: 'babel',
+  jsx: 'babel',
+  typescript: 'typescript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  flow: 'flow',
+  json: 'json',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  markdown: 'markdown',
+  md: 'markdown',
+  yaml: 'yaml',
+  yml: 'yaml',
+};
+
+// Prettier options accepted from callers; anything else is ignored
+const PRETTIER_OPTIONS = [
+  'tabWidth',
+  'useTabs',
+  'semi',
+  'singleQuote',
+  'jsxSingleQuote',
+  'quoteProps',
+  'printWidth',
+  'trailingComma',
+  'bracketSpacing',
+  'bracketSameLine',
+  'arrowParens',
+  'proseWrap',
+  'endOfLine',
+];
+
+function resolveParser(language = 'javascript') {
+  return LANGUAGE_PARSERS[String(language).toLowerCase()] || null;
+}
+
+function supportedLanguages() {
+  return Object.keys(LANGUAGE_PARSERS);
+}
+
+/**
+ * Pick the Prettier options out of a request's options object.
+ * `addSemicolons` is still accepted as an alias for `semi`.
+ */
+function prettierOptions(options = {}) {
+  const picked = {};
+  PRETTIER_OPTIONS.forEach((name) => {
+    if (options[name] !== undefined) picked[name] = options[name];
+  });
+  if (picked.semi === undefined && options.addSemicolons !== undefined) {
+    picked.semi = options.addSemicolons !== false;
+  }
+  return picked;
+}
+
+// A Prettier syntax error keeping only the first line of its message
+function withoutCodeFrame(error) {
+  const [summary] = error.message.split('\n');
+  error.message = summary;
+  error.stack = `${error.name}: ${summary}`;
+  delete error.codeFrame;
+  return error;
+}
+
+/**
+ * Format code with Prettier. Rejects for unsupported languages and for
+ * code Prettier cannot parse (the error carries Prettier's `loc`).
+ * With `options.redactSecrets`, secrets are masked in the echoed
+ * `original`, `formatted` and `diff` (see lib/secrets.js), and a syntax
+ * error loses the code frame that would quote the code.
+ */
+async function formatCode(code, language = 'javascript', options = {}) {
+  const parser = resolveParser(language);
+  if (!parser) {
+    throw new Error(
+      `Unsupported language: ${language} (supported: ${supportedLanguages().join(', ')})`,
+    );
+  }
+
+  const appliedOptions = prettierOptions(options);
+  let formatted;
+  try {
+    formatted = await prettier.format(code, { ...appliedOptions, parser });
+  } catch (error) {
+    if (options.redactSecrets && error.loc) throw withoutCodeFrame(error);
+    throw error;
+  }
+  const changed = formatted !== code;
+
+  // What is echoed back; the stats still describe the real code
+  let shownOriginal = code;
+  let shownFormatted = formatted;
+  let redaction = {};
+  if (options.redactSecrets) {
+    const original = redactSecrets(code);
+    shownOriginal = original.text;
+    shownFormatted = redactSecrets(formatted).text;
+    redaction = { secrets_redacted: original.count };
+  }
+
+  const changes = [];
+  if (changed) {
+    changes.push({
+      type: 'formatting',
+      description: 'Code has been reformatted for consistency',
+    });
+  }
+
+  return {
+    original: shownOriginal,
+    formatted: shownFormatted,
+    language,
+    parser,
+    options: appliedOptions,
+    changed,
+    diff: changed
+      ? createTwoFilesPatch(
+          'original',
+          'formatted',
+          shownOriginal,
+          shownFormatted,
+        )
+      : '',
+    stats: {
+      original_length: code.length,
+      formatted_length: formatted.length,
+      difference: formatted.length - code.length,
+      lines_before: code.split('\n').length,
+      lines_after: formatted.split('\n').length,
+    },
+    changes,
+    ...redaction,
+    formatted_at: new Date().toISOString(),
+  };
+}
+
+module.exports = { formatCode, resolveParser, supportedLanguages };
@@ -0,0 +1,121 @@
+/**
+ * Logger
+ * Structured, leveled logging for the service and the CLI tools
+ *
+ * Each entry is one JSON line: { time, level, msg, ...fields }. Entries
+ * below the configured level are dropped. Errors and warnings go to
+ * stderr; `stderr: true` sends everything there, which keeps stdout free
+ * for a CLI tool's output. Callers pass sizes and outcomes, never code.
+ */
+
+const { LOG_LEVELS } = require('./config');
+
+// Error objects do not serialize on their own. Parser and formatter
+// errors (the ones with a `loc`) quote the code in their message and
+// stack, so only their name and position are kept.
+function serializeError(error) {
+  if (error.loc) return { name: error.name, loc: error.loc };
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function serializeFields(fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return result;
+}
+
+/**
+ * Create a logger: `logger.info(msg, fields)` and so on for each level,
+ * plus `logger.child(fields)` for a logger that adds `fields` (such as a
+ * request ID) to every entry.
+ */
+function createLogger({ level = 'info', stderr = false, fields = {} } = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(
+      `Unknown log level: ${level} (expected one of ${LOG_LEVELS.join(', ')})`,
+    );
+  }
+
+  const logger = {
+    level,
+    child: (extra) =>
+      createLogger({ level, stderr, fields: { ...fields, ...extra } }),
+  };
+  LOG_LEVELS.forEach((name, rank) => {
+    const stream =
+      stderr || name === 'error' || name === 'warn'
+        ? process.stderr
+        : process.stdout;
+    logger[name] =
+      rank <= threshold
+        ? (msg, entryFields = {}) =>
+            stream.write(
+              `${JSON.stringify({
+                time: new Date().toISOString(),
+                level: name,
+                msg,
+                ...serializeFields(fields),
+                ...serializeFields(entryFields),
+              })}\n`,
+            )
+        : () => {};
+  });
+  return logger;
+}
+
+/**
+ * Bytes of code in `input`: a string, or an object of strings (a project's
+ * files, or the sides of a change).
+ */
+function inputBytes(input) {
+  if (typeof input === 'string') return Buffer.byteLength(input);
+  if (!input || typeof input !== 'object') return 0;
+  return Object.values(input).reduce(
+    (total, value) =>
+      total + (typeof value === 'string' ? Buffer.byteLength(value) : 0),
+    0,
+  );
+}
+
+/**
+ * Call `run` and report `{ operation, duration_ms, outcome }` (outcome is
+ * ok or error) to `report` once it returns, throws, or its promise
+ * settles. Returns what `run` returns.
+ */
+function timed(operation, run, report) {
+  const started = process.hrtime.bigint();
+  const done = (outcome) =>
+    report({
+      operation,
+      duration_ms:
+        Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      outcome,
+    });
+
+  let result;
+  try {
+    result = run();
+  } catch (error) {
+    done('error');
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(
+      (value) => {
+        done('ok');
+        return value;
+      },
+      (error) => {
+        done('error');
+        throw error;
+      },
+    );
+  }
+  done('ok');
+  return result;
+}
+
+module.exports = { createLogger, inputBytes, timed, LOG_LEVELS };
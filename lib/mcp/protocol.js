@@ -0,0 +1,220 @@
+/**
+ * MCP Protocol
+ * Transport-independent JSON-RPC 2.0 handling for the Model Context Protocol
+ *
+ * Implements `initialize`, `ping`, `tools/list` and `tools/call`. Transports
+ * (stdio, HTTP) pass each decoded message to `handleMessage` and write back
+ * whatever it returns; notifications produce no response.
+ */
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error };
+}
+
+function negotiateVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+function missingArguments(tool, args) {
+  const required = (tool.inputSchema && tool.inputSchema.required) || [];
+  return required.filter((name) => args[name] === undefined);
+}
+
+/**
+ * Create a message handler for a tool catalog.
+ *
+ * `tools` is a list of { name, description, inputSchema, handler } where
+ * `handler(args)` returns (or resolves to) a JSON-serialisable result, or a
+ * string for pre-rendered text output.
+ *
+ * `authorize(tool, args, context)`, when given, runs before every
+ * tools/call and throws an RpcError to refuse it. `context` is whatever
+ * the transport passed to `handleMessage` (e.g. the HTTP request).
+ */
+function createMcpHandler({ serverInfo, tools, authorize }) {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+
+  const methods = {
+    initialize(params = {}) {
+      return {
+        protocolVersion: negotiateVersion(params.protocolVersion),
+        capabilities: { tools: { listChanged: false } },
+        serverInfo,
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return {
+        tools: tools.map(({ name, description, inputSchema }) => ({
+          name,
+          description,
+          inputSchema,
+        })),
+      };
+    },
+
+    async 'tools/call'(params = {}, context) {
+      const tool = toolsByName.get(params.name);
+      if (!tool) {
+        throw new RpcError(
+          ERROR_CODES.INVALID_PARAMS,
+          `Unknown tool: ${params.name}`,
+        );
+      }
+
+      const args = params.arguments || {};
+      const missing = missingArguments(tool, args);
+      if (missing.length > 0) {
+        throw new RpcError(
+          ERROR_CODES.INVALID_PARAMS,
+          `Missing required argument(s): ${missing.join(', ')}`,
+        );
+      }
+      if (authorize) await authorize(tool, args, context);
+
+      // Tool failures are reported in the result so the model can see them
+      try {
+        const result = await tool.handler(args);
+
+        // Rendered reports (SARIF, JUnit XML) are returned as plain text
+        if (typeof result === 'string') {
+          return { content: [{ type: 'text', text: result }], isError: false };
+        }
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+          structuredContent: result,
+          isError: false,
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ error: error.message }, null, 2),
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  };
+
+  async function handleSingle(message, context) {
+    if (
+      !message ||
+      typeof message !== 'object' ||
+      message.jsonrpc !== '2.0' ||
+      typeof message.method !== 'string'
+    ) {
+      // Responses from the client (e.g. to our requests) are ignored
+      if (message && (message.result !== undefined || message.error)) {
+        return null;
+      }
+      return errorResponse(
+        message && message.id,
+        ERROR_CODES.INVALID_REQUEST,
+        'Invalid Request',
+      );
+    }
+
+    const isNotification = message.id === undefined;
+    const method = methods[message.method];
+
+    if (!method) {
+      if (isNotification) return null;
+      return errorResponse(
+        message.id,
+        ERROR_CODES.METHOD_NOT_FOUND,
+        `Method not found: ${message.method}`,
+      );
+    }
+
+    try {
+      const result = await method(message.params, context);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      if (error instanceof RpcError) {
+        return errorResponse(message.id, error.code, error.message, error.data);
+      }
+      return errorResponse(
+        message.id,
+        ERROR_CODES.INTERNAL_ERROR,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Handle a decoded message or batch. Returns the response (an array for
+   * batches) or null when nothing should be sent back. `context` is passed
+   * on to `authorize`.
+   */
+  async function handleMessage(message, context) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return errorResponse(
+          null,
+          ERROR_CODES.INVALID_REQUEST,
+          'Invalid Request',
+        );
+      }
+      const responses = (
+        await Promise.all(message.map((m) => handleSingle(m, context)))
+      ).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+    return handleSingle(message, context);
+  }
+
+  return { handleMessage };
+}
+
+/**
+ * Decode a raw JSON-RPC payload, returning { message } or { error } where
+ * `error` is a ready-to-send parse error response.
+ */
+function decodeMessage(raw) {
+  try {
+    return { message: JSON.parse(raw) };
+  } catch (error) {
+    return {
+      error: errorResponse(null, ERROR_CODES.PARSE_ERROR, 'Parse error'),
+    };
+  }
+}
+
+module.exports = {
+  createMcpHandler,
+  decodeMessage,
+  RpcError,
+  ERROR_CODES,
+  SUPPORTED_PROTOCOL_VERSIONS,
+};
@@ -0,0 +1,346 @@
+/**
+ * Code Metrics
+ * Per-function complexity, size, Halstead and maintainability metrics
+ *
+ * Cyclomatic and cognitive complexity and nesting depth only count a
+ * function's own body; nested functions are reported as separate entries.
+ * SLOC, comment lines and Halstead measures cover the function's full text.
+ */
+
+const traverse = require('@babel/traverse').default;
+const { locationOf } = require('./parser');
+
+const LOOP_TYPES = [
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+];
+
+const LOGICAL_OPERATORS = ['&&', '||', '??'];
+const LOGICAL_ASSIGNMENT_OPERATORS = ['&&=', '||=', '??='];
+
+// Identifiers Babel tokenizes as names but which act as keywords
+const CONTEXTUAL_KEYWORDS = ['let', 'async', 'await', 'of', 'yield', 'static'];
+const OPERAND_TOKENS = [
+  'num',
+  'bigint',
+  'decimal',
+  'string',
+  'regexp',
+  'template',
+  'jsxText',
+  'privateName',
+  'true',
+  'false',
+  'null',
+  'this',
+];
+// Closing halves of paired punctuation are counted with their opener
+const IGNORED_TOKENS = [')', ']', '}', '`', 'eof', '#{', '#['];
+
+function getComplexityRating(complexity) {
+  if (complexity <= 5) return 'simple';
+  if (complexity <= 10) return 'moderate';
+  if (complexity <= 20) return 'complex';
+  return 'very_complex';
+}
+
+function isDecisionPoint(path) {
+  const { node } = path;
+  if (path.isIfStatement() || path.isConditionalExpression()) return true;
+  if (path.isCatchClause()) return true;
+  if (LOOP_TYPES.includes(node.type)) return true;
+  if (path.isSwitchCase()) return node.test !== null;
+  if (path.isLogicalExpression()) {
+    return LOGICAL_OPERATORS.includes(node.operator);
+  }
+  if (path.isAssignmentExpression()) {
+    return LOGICAL_ASSIGNMENT_OPERATORS.includes(node.operator);
+  }
+  return false;
+}
+
+/**
+ * Cyclomatic complexity of a whole file: 1 + every decision point.
+ */
+function calculateComplexity(ast) {
+  let complexity = 1;
+  traverse(ast, {
+    enter(path) {
+      if (isDecisionPoint(path)) complexity++;
+    },
+  });
+  return complexity;
+}
+
+function keyName(key, computed) {
+  if (!computed && key.type === 'Identifier') return key.name;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+    return String(key.value);
+  }
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  return '<computed>';
+}
+
+function functionName(path, code) {
+  const { node, parent, parentPath } = path;
+
+  if (node.id) return node.id.name;
+
+  if (node.key) {
+    const name = keyName(node.key, node.computed);
+    const classPath = parentPath.parentPath;
+    if (classPath && classPath.isClass() && classPath.node.id) {
+      return `${classPath.node.id.name}.${name}`;
+    }
+    return name;
+  }
+
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return parent.id.name;
+  }
+  if (parent.type === 'AssignmentExpression') {
+    return code.slice(parent.left.start, parent.left.end);
+  }
+  if (
+    (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') &&
+    parent.value === node
+  ) {
+    return keyName(parent.key, parent.computed);
+  }
+
+  return '<anonymous>';
+}
+
+/**
+ * Walk a function's own body, collecting cyclomatic and cognitive
+ * complexity and the deepest level of nested control flow.
+ */
+function measureControlFlow(fnPath, name) {
+  const state = { cyclomatic: 1, cognitive: 0, nesting: 0, depth: 0 };
+  let maxDepth = 0;
+
+  const isElseIf = (path) =>
+    path.parentPath.isIfStatement() && path.key === 'alternate';
+  const nests = (path) =>
+    (path.isIfStatement() && !isElseIf(path)) ||
+    path.isConditionalExpression() ||
+    path.isSwitchStatement() ||
+    path.isCatchClause() ||
+    LOOP_TYPES.includes(path.node.type);
+  const deepens = (path) =>
+    (path.isIfStatement() && !isElseIf(path)) ||
+    path.isSwitchStatement() ||
+    path.isTryStatement() ||
+    LOOP_TYPES.includes(path.node.type);
+
+  fnPath.traverse({
+    Function(path) {
+      path.skip();
+    },
+
+    enter(path) {
+      const { node } = path;
+
+      if (isDecisionPoint(path)) state.cyclomatic++;
+
+      // Cognitive complexity (SonarSource): structural increments pay
+      // an extra point per level of nesting they sit in
+      if (path.isIfStatement()) {
+        state.cognitive += isElseIf(path) ? 1 : 1 + state.nesting;
+        if (node.alternate && node.alternate.type !== 'IfStatement') {
+          state.cognitive += 1;
+        }
+      } else if (
+        path.isConditionalExpression() ||
+        path.isSwitchStatement() ||
+        path.isCatchClause() ||
+        LOOP_TYPES.includes(node.type)
+      ) {
+        state.cognitive += 1 + state.nesting;
+      } else if (path.isLogicalExpression()) {
+        // One point per sequence of like operators: a && b && c || d = 2
+        const parent = path.parent;
+        if (
+          parent.type !== 'LogicalExpression' ||
+          parent.operator !== node.operator
+        ) {
+          state.cognitive += 1;
+        }
+      } else if (
+        (path.isBreakStatement() || path.isContinueStatement()) &&
+        node.label
+      ) {
+        state.cognitive += 1;
+      } else if (
+        path.isCallExpression() &&
+        node.callee.type === 'Identifier' &&
+        node.callee.name === name
+      ) {
+        state.cognitive += 1;
+      }
+
+      if (nests(path)) state.nesting++;
+      if (deepens(path)) {
+        state.depth++;
+        maxDepth = Math.max(maxDepth, state.depth);
+      }
+    },
+
+    exit(path) {
+      if (nests(path)) state.nesting--;
+      if (deepens(path)) state.depth--;
+    },
+  });
+
+  return {
+    cyclomatic: state.cyclomatic,
+    cognitive: state.cognitive,
+    maxDepth,
+  };
+}
+
+/**
+ * Classify every source line as containing code and/or comments.
+ */
+function classifyLines(ast) {
+  const code = new Set();
+  const comments = new Set();
+
+  const mark = (set, loc) => {
+    for (let line = loc.start.line; line <= loc.end.line; line++) {
+      set.add(line);
+    }
+  };
+
+  ast.tokens.forEach((token) => {
+    if (typeof token.type === 'object' && token.type.label !== 'eof') {
+      mark(code, token.loc);
+    }
+  });
+  ast.comments.forEach((comment) => mark(comments, comment.loc));
+
+  return { code, comments };
+}
+
+function countLines(set, node) {
+  let count = 0;
+  for (let line = node.loc.start.line; line <= node.loc.end.line; line++) {
+    if (set.has(line)) count++;
+  }
+  return count;
+}
+
+function tokenKey(token) {
+  if (token.type.label === 'regexp') {
+    return `/${token.value.pattern}/${token.value.flags}`;
+  }
+  return token.value !== undefined ? String(token.value) : token.type.label;
+}
+
+function calculateHalstead(tokens) {
+  const operators = new Map();
+  const operands = new Map();
+  const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  tokens.forEach((token) => {
+    const label = token.type.label;
+    if (IGNORED_TOKENS.includes(label)) return;
+    if (label === 'template' && token.value === '') return;
+
+    if (label === 'name' && !CONTEXTUAL_KEYWORDS.includes(token.value)) {
+      count(operands, tokenKey(token));
+    } else if (OPERAND_TOKENS.includes(label)) {
+      count(operands, tokenKey(token));
+    } else {
+      count(operators, tokenKey(token));
+    }
+  });
+
+  const sum = (map) => [...map.values()].reduce((a, b) => a + b, 0);
+  const n1 = operators.size;
+  const n2 = operands.size;
+  const N1 = sum(operators);
+  const N2 = sum(operands);
+  const vocabulary = n1 + n2;
+  const length = N1 + N2;
+  const volume = vocabulary > 0 ? length * Math.log2(vocabulary) : 0;
+  const difficulty = n2 > 0 ? (n1 / 2) * (N2 / n2) : 0;
+
+  return {
+    distinct_operators: n1,
+    distinct_operands: n2,
+    total_operators: N1,
+    total_operands: N2,
+    vocabulary,
+    length,
+    volume: round(volume),
+    difficulty: round(difficulty),
+    effort: round(volume * difficulty),
+  };
+}
+
+/**
+ * Maintainability index normalised to 0-100 (Visual Studio variant).
+ */
+function maintainabilityIndex(volume, cyclomatic, sloc) {
+  const raw =
+    171 -
+    5.2 * Math.log(Math.max(volume, 1)) -
+    0.23 * cyclomatic -
+    16.2 * Math.log(Math.max(sloc, 1));
+  return round(Math.max(0, (raw * 100) / 171));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Return a metrics report for every function in the AST, in source order.
+ */
+function analyzeFunctions(ast, code) {
+  const lines = classifyLines(ast);
+  const codeTokens = ast.tokens.filter(
+    (token) => typeof token.type === 'object',
+  );
+  const functions = [];
+
+  traverse(ast, {
+    Function(path) {
+      const { node } = path;
+      const name = functionName(path, code);
+      const flow = measureControlFlow(path, name);
+      const tokens = codeTokens.filter(
+        (token) => token.start >= node.start && token.end <= node.end,
+      );
+      const halstead = calculateHalstead(tokens);
+      const sloc = countLines(lines.code, node);
+
+      functions.push({
+        name,
+        type: node.type,
+        ...locationOf(node),
+        cyclomatic_complexity: flow.cyclomatic,
+        cognitive_complexity: flow.cognitive,
+        complexity_rating: getComplexityRating(flow.cyclomatic),
+        max_nesting_depth: flow.maxDepth,
+        parameter_count: node.params.length,
+        sloc,
+        comment_lines: countLines(lines.comments, node),
+        halstead,
+        maintainability_index: maintainabilityIndex(
+          halstead.volume,
+          flow.cyclomatic,
+          sloc,
+        ),
+      });
+    },
+  });
+
+  return functions;
+}
+
+module.exports = { analyzeFunctions, calculateComplexity, getComplexityRating };
@@ -0,0 +1,90 @@
+/**
+ * Parser
+ * Shared AST parsing for the CLI tools and the HTTP service
+ */
+
+const { parse } = require('@babel/parser');
+
+const LANGUAGE_PLUGINS = {
+  javascript: ['jsx'],
+  jsx: ['jsx'],
+  typescript: ['typescript'],
+  tsx: ['typescript', 'jsx'],
+};
+
+// "unambiguous" parses as a module only when the code uses import/export
+// (or top-level await)
+const SOURCE_TYPES = ['unambiguous', 'script', 'module'];
+
+/**
+ * Parse source code into a Babel AST.
+ * Returns { ast, errors }; `ast` is null when the code could not be parsed.
+ * `strict` parses scripts as strict-mode code (modules always are).
+ */
+function parseCode(
+  code,
+  language = 'javascript',
+  { sourceType = 'unambiguous', strict = false } = {},
+) {
+  const plugins = LANGUAGE_PLUGINS[language] || LANGUAGE_PLUGINS.javascript;
+
+  const options = {
+    sourceType,
+    strictMode: strict || undefined,
+    allowReturnOutsideFunction: true,
+    errorRecovery: true,
+    tokens: true,
+    plugins,
+  };
+
+  try {
+    let ast = parse(code, options);
+
+    // "unambiguous" applies module (strict) rules until it has seen the
+    // whole file; re-check plain scripts under script rules
+    if (
+      sourceType === 'unambiguous' &&
+      ast.program.sourceType === 'script' &&
+      ast.errors.length > 0
+    ) {
+      ast = parse(code, { ...options, sourceType: 'script' });
+    }
+    return { ast, errors: ast.errors || [] };
+  } catch (error) {
+    return { ast: null, errors: [error] };
+  }
+}
+
+/**
+ * Convert a node's Babel location into the issue location fields.
+ * Columns are reported 1-based, like lines.
+ */
+function locationOf(node) {
+  const { start, end } = node.loc;
+  return {
+    line: start.line,
+    column: start.column + 1,
+    end_line: end.line,
+    end_column: end.column + 1,
+  };
+}
+
+/**
+ * Convert a Babel syntax error into a plain { message, line, column } object.
+ */
+function formatParseError(error) {
+  const loc = error.loc || { line: 1, column: 0 };
+  return {
+    message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+    line: loc.line,
+    column: loc.column + 1,
+  };
+}
+
+module.exports = {
+  parseCode,
+  locationOf,
+  formatParseError,
+  LANGUAGE_PLUGINS,
+  SOURCE_TYPES,
+};
@@ -0,0 +1,315 @@
+/**
+ * Project Analysis
+ * Multi-file analysis with a module dependency graph
+ *
+ * Files are given as a { path: source } map. `require`, `import`, dynamic
+ * `import()` and re-exports are resolved between the files; anything that
+ * is not a relative specifier is recorded as an external dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const traverse = require('@babel/traverse').default;
+const { parseCode } = require('./parser');
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+const RESOLVE_EXTENSIONS = [...SOURCE_EXTENSIONS, '.json'];
+const IGNORED_DIRECTORIES = [
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  'coverage',
+];
+
+function normalizePath(file) {
+  return path.posix.normalize(file.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+function languageForPath(file) {
+  const ext = path.extname(file);
+  if (ext === '.ts') return 'typescript';
+  if (ext === '.tsx') return 'tsx';
+  return 'javascript';
+}
+
+/**
+ * Read every source file under `dir` into a { relativePath: source } map.
+ */
+function readProjectFiles(dir) {
+  const files = {};
+
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) walk(fullPath);
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+        const relative = normalizePath(path.relative(dir, fullPath));
+        files[relative] = fs.readFileSync(fullPath, 'utf8');
+      }
+    });
+  };
+
+  walk(dir);
+  return files;
+}
+
+function stringArgument(node) {
+  const arg = node.arguments[0];
+  if (!arg) return null;
+  if (arg.type === 'StringLiteral') return arg.value;
+  if (arg.type === 'TemplateLiteral' && arg.expressions.length === 0) {
+    return arg.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Collect the module specifiers a file depends on.
+ */
+function extractImports(ast) {
+  const imports = [];
+  const add = (specifier, kind, node) => {
+    if (specifier !== null) {
+      imports.push({ specifier, kind, line: node.loc.start.line });
+    }
+  };
+
+  traverse(ast, {
+    ImportDeclaration(p) {
+      add(p.node.source.value, 'import', p.node);
+    },
+    'ExportNamedDeclaration|ExportAllDeclaration'(p) {
+      if (p.node.source) add(p.node.source.value, 'export', p.node);
+    },
+    TSImportEqualsDeclaration(p) {
+      const ref = p.node.moduleReference;
+      if (ref.type === 'TSExternalModuleReference') {
+        add(ref.expression.value, 'require', p.node);
+      }
+    },
+    CallExpression(p) {
+      const { callee } = p.node;
+      if (callee.type === 'Import') {
+        add(stringArgument(p.node), 'dynamic-import', p.node);
+      } else if (
+        callee.type === 'Identifier' &&
+        callee.name === 'require' &&
+        !p.scope.hasBinding('require', true)
+      ) {
+        add(stringArgument(p.node), 'require', p.node);
+      }
+    },
+  });
+
+  return imports;
+}
+
+function isRelative(specifier) {
+  return (
+    specifier.startsWith('./') ||
+    specifier.startsWith('../') ||
+    specifier.startsWith('/') ||
+    specifier === '.' ||
+    specifier === '..'
+  );
+}
+
+// Bare specifiers are reported by package name: lodash/fp -> lodash
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function resolveSpecifier(from, specifier, known) {
+  const base = specifier.startsWith('/')
+    ? normalizePath(specifier.slice(1))
+    : normalizePath(path.posix.join(path.posix.dirname(from), specifier));
+
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => base + ext),
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+  ];
+  return candidates.find((candidate) => known.has(candidate)) || null;
+}
+
+/**
+ * Strongly connected components (Tarjan); components with more than one
+ * module, or a module importing itself, are dependency cycles.
+ */
+function findCycles(nodes, adjacency) {
+  let index = 0;
+  const stack = [];
+  const state = new Map();
+  const cycles = [];
+
+  const visit = (node) => {
+    state.set(node, { index, lowlink: index, onStack: true });
+    index++;
+    stack.push(node);
+
+    adjacency.get(node).forEach((next) => {
+      if (!state.has(next)) {
+        visit(next);
+        state.get(node).lowlink = Math.min(
+          state.get(node).lowlink,
+          state.get(next).lowlink,
+        );
+      } else if (state.get(next).onStack) {
+        state.get(node).lowlink = Math.min(
+          state.get(node).lowlink,
+          state.get(next).index,
+        );
+      }
+    });
+
+    if (state.get(node).lowlink === state.get(node).index) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        state.get(member).onStack = false;
+        component.push(member);
+      } while (member !== node);
+
+      if (component.length > 1 || adjacency.get(node).has(node)) {
+        cycles.push({ files: component.sort(), length: component.length });
+      }
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (!state.has(node)) visit(node);
+  });
+  return cycles;
+}
+
+/**
+ * Build the module dependency graph for a { path: source } map.
+ */
+function buildDependencyGraph(files) {
+  const paths = Object.keys(files);
+  const known = new Set(paths);
+  const adjacency = new Map(paths.map((file) => [file, new Set()]));
+  const dependents = new Map(paths.map((file) => [file, new Set()]));
+  const edges = [];
+  const external = {};
+  const unresolved = [];
+
+  paths.forEach((from) => {
+    const { ast } = parseCode(files[from], languageForPath(from));
+    if (!ast) return;
+
+    extractImports(ast).forEach(({ specifier, kind, line }) => {
+      if (!isRelative(specifier)) {
+        const name = packageName(specifier);
+        external[name] = external[name] || [];
+        if (!external[name].includes(from)) external[name].push(from);
+        return;
+      }
+
+      const to = resolveSpecifier(from, specifier, known);
+      if (!to) {
+        unresolved.push({ from, specifier, line });
+        return;
+      }
+      edges.push({ from, to, specifier, kind, line });
+      adjacency.get(from).add(to);
+      dependents.get(to).add(from);
+    });
+  });
+
+  const nodes = paths.map((file) => ({
+    path: file,
+    dependencies: [...adjacency.get(file)].sort(),
+    dependents: [...dependents.get(file)].sort(),
+    fan_in: dependents.get(file).size,
+    fan_out: adjacency.get(file).size,
+  }));
+
+  return {
+    nodes,
+    edges,
+    external,
+    unresolved,
+    cycles: findCycles(paths, adjacency),
+  };
+}
+
+function withFile(items, file) {
+  return (items || []).map((item) => ({ file, ...item }));
+}
+
+/**
+ * Analyze every file with `analyzeFile(code, language)` and combine the
+ * results into the single-file analysis shape, plus `files` (per-file
+ * results) and `dependency_graph`.
+ */
+function analyzeProject(files, analyzeFile) {
+  const paths = Object.keys(files).map(normalizePath).sort();
+  const normalized = {};
+  Object.keys(files).forEach((file) => {
+    normalized[normalizePath(file)] = files[file];
+  });
+
+  const results = {};
+  paths.forEach((file) => {
+    results[file] = analyzeFile(normalized[file], languageForPath(file));
+  });
+
+  const graph = buildDependencyGraph(normalized);
+  const all = (key) =>
+    paths.reduce(
+      (list, file) => list.concat(withFile(results[file][key], file)),
+      [],
+    );
+  const sum = (key) =>
+    paths.reduce((total, file) => total + (results[file].metrics[key] || 0), 0);
+
+  const functions = all('functions');
+  const issues = all('issues');
+  const complexities = functions.map((fn) => fn.cyclomatic_complexity);
+
+  return {
+    metrics: {
+      file_count: paths.length,
+      lines: sum('lines'),
+      complexity: sum('complexity'),
+      function_count: functions.length,
+      average_function_complexity:
+        complexities.length > 0
+          ? Math.round(
+              (complexities.reduce((a, b) => a + b, 0) / complexities.length) *
+                100,
+            ) / 100
+          : 0,
+      max_function_complexity: Math.max(0, ...complexities),
+      internal_dependencies: graph.edges.length,
+      external_packages: Object.keys(graph.external).length,
+      max_fan_in: Math.max(0, ...graph.nodes.map((node) => node.fan_in)),
+      max_fan_out: Math.max(0, ...graph.nodes.map((node) => node.fan_out)),
+      cycle_count: graph.cycles.length,
+    },
+    functions,
+    issues,
+    parse_errors: all('parse_errors'),
+    summary: {
+      total_issues: issues.length,
+      high: issues.filter((i) => i.severity === 'high').length,
+      medium: issues.filter((i) => i.severity === 'medium').length,
+      low: issues.filter((i) => i.severity === 'low').length,
+      info: issues.filter((i) => i.severity === 'info').length,
+    },
+    files: results,
+    dependency_graph: graph,
+  };
+}
+
+module.exports = {
+  analyzeProject,
+  buildDependencyGraph,
+  readProjectFiles,
+  languageForPath,
+};
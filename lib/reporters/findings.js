@@ -0,0 +1,75 @@
+/**
+ * Findings
+ * Normalises analyzer issues and validator errors/warnings into one list
+ * for the SARIF and JUnit reporters
+ */
+
+const SEVERITY_LEVELS = {
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note',
+};
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Issues without an explicit rule ID are grouped by category and message
+function ruleIdFor(item, fallbackCategory) {
+  if (item.rule_id) return item.rule_id;
+  return `${item.category || fallbackCategory}/${slugify(item.message)}`;
+}
+
+function finding(item, fields) {
+  return {
+    file: item.file,
+    line: item.line,
+    column: item.column,
+    end_line: item.end_line,
+    end_column: item.end_column,
+    message: item.message,
+    ...fields,
+  };
+}
+
+/**
+ * Collect findings from an analyzeCode() result.
+ */
+function analysisFindings(analysis) {
+  return (analysis.issues || []).map((issue) =>
+    finding(issue, {
+      rule_id: ruleIdFor(issue, 'analysis'),
+      severity: issue.severity,
+      category: issue.category,
+      taint_path: issue.taint_path,
+    }),
+  );
+}
+
+/**
+ * Collect findings from a validateCode() result: errors are high severity,
+ * warnings low.
+ */
+function validationFindings(validation) {
+  const convert = (severity) => (item) =>
+    finding(item, {
+      rule_id: item.rule_id || `validation/${item.type}`,
+      severity,
+      category: item.type,
+    });
+
+  return [
+    ...(validation.errors || []).map(convert('high')),
+    ...(validation.warnings || []).map(convert('low')),
+  ];
+}
+
+module.exports = {
+  analysisFindings,
+  validationFindings,
+  SEVERITY_LEVELS,
+};
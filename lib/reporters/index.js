@@ -0,0 +1,40 @@
+/**
+ * Reporters
+ * Alternative output formats for analysis and validation results
+ */
+
+const { analysisFindings, validationFindings } = require('./findings');
+const { toSarif } = require('./sarif');
+const { toJUnit } = require('./junit');
+
+const OUTPUT_FORMATS = ['json', 'sarif', 'junit'];
+
+const RUNS = [
+  { key: 'validation', tool: 'wizelit-validator', collect: validationFindings },
+  { key: 'analysis', tool: 'wizelit-analyzer', collect: analysisFindings },
+];
+
+/**
+ * Render `results` ({ analysis?, validation? }, as produced by /process)
+ * in a non-JSON output format. Returns { contentType, body }.
+ */
+function renderReport(format, results, options = {}) {
+  const runs = RUNS.filter(({ key }) => results[key]).map(
+    ({ key, tool, collect }) => ({ tool, findings: collect(results[key]) }),
+  );
+
+  if (format === 'sarif') {
+    return {
+      contentType: 'application/sarif+json',
+      body: JSON.stringify(toSarif(runs, options), null, 2),
+    };
+  }
+  if (format === 'junit') {
+    return { contentType: 'application/xml', body: toJUnit(runs, options) };
+  }
+  throw new Error(
+    `Unsupported output format: ${format} (supported: ${OUTPUT_FORMATS.join(', ')})`,
+  );
+}
+
+module.exports = { renderReport, OUTPUT_FORMATS };
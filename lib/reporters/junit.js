@@ -0,0 +1,84 @@
+/**
+ * JUnit Reporter
+ * Renders findings as JUnit XML for test reporters
+ *
+ * Each analyzed file becomes a <testsuite>; each finding is a failed
+ * <testcase>. A file without findings gets a single passing testcase.
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function groupByFile(findings, uri) {
+  const groups = new Map();
+  findings.forEach((item) => {
+    const file = item.file || uri;
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(item);
+  });
+  if (groups.size === 0) groups.set(uri, []);
+  return groups;
+}
+
+function position(item) {
+  if (!item.line) return '';
+  return item.column ? ` (${item.line}:${item.column})` : ` (${item.line})`;
+}
+
+function renderTestcase(tool, file, item) {
+  const name = `${item.rule_id}${position(item)}`;
+  const details = [
+    `${item.severity.toUpperCase()} ${item.category}: ${item.message}`,
+    `at ${file}${item.line ? `:${item.line}` : ''}${item.column ? `:${item.column}` : ''}`,
+  ].join('\n');
+
+  return (
+    `    <testcase classname="${escapeXml(`${tool}.${file}`)}" name="${escapeXml(name)}">\n` +
+    `      <failure message="${escapeXml(item.message)}" type="${escapeXml(item.severity)}">${escapeXml(details)}</failure>\n` +
+    `    </testcase>`
+  );
+}
+
+/**
+ * Render a JUnit XML document. `runs` is a list of { tool, findings }.
+ */
+function toJUnit(runs, { uri = 'input.js' } = {}) {
+  const suites = [];
+  let total = 0;
+  let failures = 0;
+
+  runs.forEach(({ tool, findings }) => {
+    groupByFile(findings, uri).forEach((items, file) => {
+      const testcases =
+        items.length > 0
+          ? items.map((item) => renderTestcase(tool, file, item))
+          : [
+              `    <testcase classname="${escapeXml(`${tool}.${file}`)}" name="no findings"/>`,
+            ];
+      const tests = Math.max(items.length, 1);
+
+      total += tests;
+      failures += items.length;
+      suites.push(
+        `  <testsuite name="${escapeXml(`${tool}: ${file}`)}" tests="${tests}" failures="${items.length}" errors="0" skipped="0">\n` +
+          testcases.join('\n') +
+          '\n  </testsuite>',
+      );
+    });
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="wizelit" tests="${total}" failures="${failures}" errors="0">\n` +
+    suites.join('\n') +
+    '\n</testsuites>\n'
+  );
+}
+
+module.exports = { toJUnit };
@@ -0,0 +1,119 @@
+/**
+ * SARIF Reporter
+ * Renders findings as a SARIF 2.1.0 log for code-scanning dashboards
+ */
+
+const { SEVERITY_LEVELS } = require('./findings');
+const { getRule } = require('../rules');
+const pkg = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Categories reported to code scanning as security results
+const SECURITY_CATEGORIES = ['security', 'secrets'];
+
+// GitHub code scanning ranks security results by this score
+const SECURITY_SEVERITY = {
+  high: '8.0',
+  medium: '5.0',
+  low: '3.0',
+  info: '0.0',
+};
+
+function levelFor(severity) {
+  return SEVERITY_LEVELS[severity] || 'warning';
+}
+
+function buildRules(findings) {
+  const rules = [];
+  const indexes = new Map();
+
+  findings.forEach((item) => {
+    if (indexes.has(item.rule_id)) return;
+    indexes.set(item.rule_id, rules.length);
+
+    const properties = { tags: [item.category], severity: item.severity };
+    if (SECURITY_CATEGORIES.includes(item.category)) {
+      properties['security-severity'] = SECURITY_SEVERITY[item.severity];
+    }
+    // Registered analyzer rules have a fixed description
+    const rule = getRule(item.rule_id);
+    rules.push({
+      id: item.rule_id,
+      name: item.rule_id,
+      shortDescription: { text: rule ? rule.description : item.message },
+      defaultConfiguration: { level: levelFor(item.severity) },
+      properties,
+    });
+  });
+
+  return { rules, indexes };
+}
+
+function buildLocation(item, uri) {
+  const physicalLocation = {
+    artifactLocation: { uri: item.file || uri },
+  };
+  if (item.line) {
+    physicalLocation.region = { startLine: item.line };
+    if (item.column) physicalLocation.region.startColumn = item.column;
+    if (item.end_line) physicalLocation.region.endLine = item.end_line;
+    if (item.end_column) physicalLocation.region.endColumn = item.end_column;
+  }
+  return { physicalLocation };
+}
+
+// A taint finding's source-to-sink steps as a SARIF code flow
+function buildCodeFlows(item, uri) {
+  return [
+    {
+      threadFlows: [
+        {
+          locations: item.taint_path.map((step) => ({
+            location: {
+              ...buildLocation({ file: item.file, ...step }, uri),
+              message: { text: step.description },
+            },
+          })),
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Render one SARIF log with a run per tool.
+ * `runs` is a list of { tool, findings }; `uri` names the analyzed input
+ * for findings that do not carry their own `file`.
+ */
+function toSarif(runs, { uri = 'input.js' } = {}) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: runs.map(({ tool, findings }) => {
+      const { rules, indexes } = buildRules(findings);
+      return {
+        tool: {
+          driver: {
+            name: tool,
+            version: pkg.version,
+            rules,
+          },
+        },
+        results: findings.map((item) => ({
+          ruleId: item.rule_id,
+          ruleIndex: indexes.get(item.rule_id),
+          level: levelFor(item.severity),
+          message: { text: item.message },
+          locations: [buildLocation(item, uri)],
+          ...(item.taint_path && {
+            codeFlows: buildCodeFlows(item, uri),
+          }),
+          properties: { severity: item.severity, category: item.category },
+        })),
+      };
+    }),
+  };
+}
+
+module.exports = { toSarif };
@@ -0,0 +1,57 @@
+/**
+ * Rule: eqeqeq
+ * Flags loose equality (== and !=)
+ *
+ * Fix: swap the operator for its strict form, except against `null`, where
+ * the loose form deliberately matches `undefined` too.
+ */
+
+function isNull(node) {
+  return node.type === 'NullLiteral';
+}
+
+// The operator token between the two operands (comments may sit around it)
+function operatorToken(tokens, node) {
+  return tokens.find(
+    (token) =>
+      typeof token.type === 'object' &&
+      token.value === node.operator &&
+      token.start >= node.left.end &&
+      token.end <= node.right.start,
+  );
+}
+
+module.exports = {
+  id: 'eqeqeq',
+  description: 'Require === and !== instead of == and !=',
+  category: 'best-practices',
+  severity: 'low',
+  fixable: true,
+  create(report, { tokens }) {
+    return {
+      BinaryExpression(path) {
+        const { node } = path;
+        const { operator } = node;
+        if (operator !== '==' && operator !== '!=') return;
+
+        const token = operatorToken(tokens, node);
+        let fix;
+        if (isNull(node.left) || isNull(node.right)) {
+          fix = { skip: `${operator} null also matches undefined` };
+        } else if (token) {
+          fix = {
+            edits: [
+              { start: token.start, end: token.end, text: `${operator}=` },
+            ],
+          };
+        }
+
+        report(
+          node,
+          `Use ${operator}= instead of ${operator} for strict equality`,
+          fix,
+        );
+      },
+    };
+  },
+};
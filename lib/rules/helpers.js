@@ -0,0 +1,63 @@
+/**
+ * Rule Helpers
+ * AST predicates shared by the analyzer rules
+ */
+
+const GLOBAL_OBJECTS = ['window', 'globalThis', 'self'];
+
+function propertyName(member) {
+  if (!member.computed && member.property.type === 'Identifier') {
+    return member.property.name;
+  }
+  if (member.computed && member.property.type === 'StringLiteral') {
+    return member.property.value;
+  }
+  return null;
+}
+
+function isGlobal(path, name) {
+  return !path.scope.hasBinding(name, true);
+}
+
+function isMember(node) {
+  return (
+    node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression'
+  );
+}
+
+// eval(...), window.eval(...), globalThis['eval'](...)
+function isGlobalCall(path, name) {
+  const callee = path.node.callee;
+  if (callee.type === 'Identifier') {
+    return callee.name === name && isGlobal(path, name);
+  }
+  if (isMember(callee)) {
+    return (
+      callee.object.type === 'Identifier' &&
+      GLOBAL_OBJECTS.includes(callee.object.name) &&
+      isGlobal(path, callee.object.name) &&
+      propertyName(callee) === name
+    );
+  }
+  return false;
+}
+
+// console.log(...) style calls on an unshadowed global object
+function isGlobalMethodCall(path, object, methods) {
+  const callee = path.node.callee;
+  return (
+    isMember(callee) &&
+    callee.object.type === 'Identifier' &&
+    callee.object.name === object &&
+    isGlobal(path, object) &&
+    methods.includes(propertyName(callee))
+  );
+}
+
+module.exports = {
+  propertyName,
+  isGlobal,
+  isMember,
+  isGlobalCall,
+  isGlobalMethodCall,
+};
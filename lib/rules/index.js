@@ -0,0 +1,160 @@
+/**
+ * Rule Registry
+ * Named analyzer rules and their configuration
+ *
+ * Rule settings come from a project config file (.wizelitrc.json) and from
+ * per-request `rules` objects. A setting is one of:
+ * - "off" / false                 disable the rule
+ * - "on" / true                   enable it with its default severity
+ * - "high" | "medium" | "low" | "info"   enable it with that severity
+ * - { enabled, severity }         both at once
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+const CONFIG_FILE = '.wizelitrc.json';
+
+const registry = new Map();
+
+class RuleConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleConfigError';
+  }
+}
+
+/**
+ * Add a rule: { id, description, category, severity, fixable, create }.
+ * `create(report, { tokens })` returns a Babel visitor that calls
+ * `report(node, message, fix, details)`; see lib/checks.js for the fix
+ * shape. `details` holds extra fields for the issue.
+ */
+function registerRule(rule) {
+  if (registry.has(rule.id)) {
+    throw new Error(`Rule already registered: ${rule.id}`);
+  }
+  registry.set(rule.id, rule);
+}
+
+function getRule(id) {
+  return registry.get(id) || null;
+}
+
+function listRules() {
+  return [...registry.values()].map(
+    ({ id, description, category, severity, fixable = false }) => ({
+      id,
+      description,
+      category,
+      severity,
+      fixable,
+    }),
+  );
+}
+
+function normalizeSetting(id, setting) {
+  if (setting === 'off' || setting === false) return { enabled: false };
+  if (setting === 'on' || setting === true) return { enabled: true };
+  if (SEVERITIES.includes(setting)) return { enabled: true, severity: setting };
+
+  if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+    if (
+      setting.severity !== undefined &&
+      !SEVERITIES.includes(setting.severity)
+    ) {
+      throw new RuleConfigError(
+        `Invalid severity for rule ${id}: ${setting.severity} (expected one of ${SEVERITIES.join(', ')})`,
+      );
+    }
+    return { enabled: setting.enabled !== false, severity: setting.severity };
+  }
+
+  throw new RuleConfigError(
+    `Invalid setting for rule ${id}: ${JSON.stringify(setting)}`,
+  );
+}
+
+/**
+ * Resolve a { ruleId: setting } object into the list of enabled rules,
+ * each paired with its effective severity. Unlisted rules keep defaults.
+ */
+function resolveRules(settings = {}) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new RuleConfigError('rules must be an object of rule settings');
+  }
+
+  Object.keys(settings).forEach((id) => {
+    if (!registry.has(id)) {
+      throw new RuleConfigError(
+        `Unknown rule: ${id} (available: ${[...registry.keys()].join(', ')})`,
+      );
+    }
+  });
+
+  return [...registry.values()]
+    .map((rule) => {
+      const setting =
+        settings[rule.id] === undefined
+          ? { enabled: true }
+          : normalizeSetting(rule.id, settings[rule.id]);
+      return {
+        rule,
+        enabled: setting.enabled,
+        severity: setting.severity || rule.severity,
+      };
+    })
+    .filter(({ enabled }) => enabled);
+}
+
+/**
+ * Read the `rules` section of .wizelitrc.json in `dir`, if there is one.
+ */
+function loadRuleConfig(dir = process.cwd()) {
+  const file = path.join(dir, CONFIG_FILE);
+  if (!fs.existsSync(file)) return {};
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new RuleConfigError(`Invalid ${file}: ${error.message}`);
+  }
+  return config.rules || {};
+}
+
+[
+  require('./no-eval'),
+  require('./no-inner-html'),
+  require('./no-var'),
+  require('./prefer-const'),
+  require('./no-console'),
+  require('./eqeqeq'),
+  require('./no-undef'),
+  require('./no-implicit-globals'),
+  require('./no-const-assign'),
+  require('./no-use-before-define'),
+  require('./no-unreachable'),
+  require('./no-unused-vars'),
+  require('./no-shadow'),
+  require('./taint-code-injection'),
+  require('./taint-command-injection'),
+  require('./taint-xss'),
+  require('./taint-sql-injection'),
+  require('./taint-path-traversal'),
+  require('./taint-open-redirect'),
+  require('./no-hardcoded-secrets'),
+  require('./no-high-entropy-strings'),
+].forEach(registerRule);
+
+module.exports = {
+  registerRule,
+  getRule,
+  listRules,
+  resolveRules,
+  loadRuleConfig,
+  RuleConfigError,
+  SEVERITIES,
+  CONFIG_FILE,
+};
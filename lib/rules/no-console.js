@@ -0,0 +1,91 @@
+/**
+ * Rule: no-console
+ * Flags console.log calls left in the code
+ *
+ * Fix: delete the statement, when it is a statement of its own and its
+ * arguments cannot have side effects.
+ */
+
+const { isGlobalMethodCall } = require('./helpers');
+
+const STATEMENT_PARENTS = ['Program', 'BlockStatement', 'StaticBlock'];
+
+// Literals, names and plain expressions over them; no calls or assignments
+function isSideEffectFree(node) {
+  switch (node.type) {
+    case 'Identifier':
+    case 'ThisExpression':
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+    case 'BigIntLiteral':
+    case 'RegExpLiteral':
+      return true;
+    case 'TemplateLiteral':
+      return node.expressions.every(isSideEffectFree);
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return (
+        isSideEffectFree(node.object) &&
+        (!node.computed || isSideEffectFree(node.property))
+      );
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return isSideEffectFree(node.left) && isSideEffectFree(node.right);
+    case 'UnaryExpression':
+      return node.operator !== 'delete' && isSideEffectFree(node.argument);
+    case 'ConditionalExpression':
+      return [node.test, node.consequent, node.alternate].every(
+        isSideEffectFree,
+      );
+    case 'ArrayExpression':
+      return node.elements.every((el) => el === null || isSideEffectFree(el));
+    case 'ObjectExpression':
+      return node.properties.every(
+        (prop) =>
+          prop.type === 'ObjectProperty' &&
+          (!prop.computed || isSideEffectFree(prop.key)) &&
+          isSideEffectFree(prop.value),
+      );
+    default:
+      return false;
+  }
+}
+
+function removal(path) {
+  const statement = path.parentPath;
+  if (
+    !statement.isExpressionStatement() ||
+    !STATEMENT_PARENTS.includes(statement.parent.type)
+  ) {
+    return { skip: 'call is not a statement of its own' };
+  }
+  if (!path.node.arguments.every(isSideEffectFree)) {
+    return { skip: 'arguments may have side effects' };
+  }
+  return {
+    edits: [{ start: statement.node.start, end: statement.node.end, text: '' }],
+  };
+}
+
+module.exports = {
+  id: 'no-console',
+  description: 'Disallow console.log calls',
+  category: 'best-practices',
+  severity: 'info',
+  fixable: true,
+  create(report) {
+    return {
+      'CallExpression|OptionalCallExpression'(path) {
+        if (isGlobalMethodCall(path, 'console', ['log'])) {
+          report(
+            path.node,
+            'Remove console.log statements before production',
+            removal(path),
+          );
+        }
+      },
+    };
+  },
+};
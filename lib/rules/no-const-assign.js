@@ -0,0 +1,34 @@
+/**
+ * Rule: no-const-assign
+ * Flags assignments to `const` variables and to imports
+ *
+ * Both throw a TypeError when the assignment runs.
+ */
+
+const { eachScope, bindingsOf } = require('../scope');
+
+module.exports = {
+  id: 'no-const-assign',
+  description: 'Disallow reassigning const variables and imports',
+  category: 'correctness',
+  severity: 'high',
+  create(report) {
+    return eachScope((scope) => {
+      bindingsOf(scope).forEach(([name, binding]) => {
+        if (binding.kind !== 'const' && binding.kind !== 'module') return;
+
+        binding.constantViolations
+          // Redeclarations are syntax errors, reported by the parser
+          .filter((violation) => !violation.isVariableDeclarator())
+          .forEach((violation) => {
+            report(
+              violation.node,
+              binding.kind === 'const'
+                ? `'${name}' is a constant; assigning to it throws a TypeError`
+                : `'${name}' is an import; assigning to it throws a TypeError`,
+            );
+          });
+      });
+    });
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Rule: no-eval
+ * Flags eval() calls, including window.eval and globalThis['eval']
+ */
+
+const { isGlobalCall } = require('./helpers');
+
+module.exports = {
+  id: 'no-eval',
+  description: 'Disallow eval() and its global aliases',
+  category: 'best-practices',
+  severity: 'medium',
+  create(report) {
+    return {
+      'CallExpression|OptionalCallExpression'(path) {
+        if (isGlobalCall(path, 'eval')) {
+          report(path.node, 'Dangerous use of eval() detected - security risk');
+        }
+      },
+    };
+  },
+};
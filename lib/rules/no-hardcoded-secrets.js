@@ -0,0 +1,43 @@
+/**
+ * Rule: no-hardcoded-secrets
+ * Flags API keys, tokens, private keys and database passwords in known
+ * provider formats, in strings, templates and comments
+ */
+
+const { matchPatterns } = require('../secrets');
+
+module.exports = {
+  id: 'no-hardcoded-secrets',
+  description: 'Disallow hardcoded credentials in known provider formats',
+  category: 'secrets',
+  severity: 'high',
+  create(report) {
+    const check = (node, text) => {
+      matchPatterns(text).forEach((secret) =>
+        report(
+          node,
+          `Hardcoded ${secret.description}: ${secret.redacted}`,
+          null,
+          {
+            secret_type: secret.type,
+            redacted: secret.redacted,
+          },
+        ),
+      );
+    };
+
+    return {
+      StringLiteral(path) {
+        check(path.node, path.node.value);
+      },
+      TemplateElement(path) {
+        check(path.node, path.node.value.cooked || path.node.value.raw);
+      },
+      Program(path) {
+        path.parent.comments.forEach((comment) =>
+          check(comment, comment.value),
+        );
+      },
+    };
+  },
+};
@@ -0,0 +1,85 @@
+/**
+ * Rule: no-high-entropy-strings
+ * Flags string values that look like generated secrets: random-looking
+ * strings, and non-placeholder values assigned to credential-like names
+ */
+
+const { matchPatterns, scoreString } = require('../secrets');
+const { propertyName, isMember } = require('./helpers');
+
+function keyName(key) {
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'StringLiteral') return key.value;
+  return null;
+}
+
+// The variable, property or attribute a string is assigned to
+function assignedName(path) {
+  const { node, parent } = path;
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.init === node && parent.id.type === 'Identifier'
+        ? parent.id.name
+        : null;
+    case 'AssignmentExpression':
+    case 'AssignmentPattern':
+      if (parent.right !== node) return null;
+      if (parent.left.type === 'Identifier') return parent.left.name;
+      return isMember(parent.left) ? propertyName(parent.left) : null;
+    case 'ObjectProperty':
+    case 'ClassProperty':
+      return parent.value === node ? keyName(parent.key) : null;
+    case 'JSXAttribute':
+      return parent.name.name;
+    default:
+      return null;
+  }
+}
+
+// Strings that name things rather than hold data
+function isReference(path) {
+  const { node, parent } = path;
+  return (
+    ((parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') &&
+      parent.key === node) ||
+    parent.type === 'ImportDeclaration' ||
+    parent.type === 'ExportNamedDeclaration' ||
+    parent.type === 'ExportAllDeclaration' ||
+    parent.type === 'TSLiteralType' ||
+    (parent.type === 'CallExpression' &&
+      parent.callee.type === 'Identifier' &&
+      parent.callee.name === 'require')
+  );
+}
+
+module.exports = {
+  id: 'no-high-entropy-strings',
+  description: 'Disallow strings that look like hardcoded secrets',
+  category: 'secrets',
+  severity: 'medium',
+  create(report) {
+    const check = (path, value) => {
+      if (isReference(path) || matchPatterns(value).length > 0) return;
+      const secret = scoreString(value, assignedName(path));
+      if (!secret) return;
+      report(
+        path.node,
+        `Possible hardcoded secret (${secret.description}, entropy ${secret.entropy}): ${secret.redacted}`,
+        null,
+        { secret_type: secret.type, redacted: secret.redacted },
+      );
+    };
+
+    return {
+      StringLiteral(path) {
+        check(path, path.node.value);
+      },
+      TemplateLiteral(path) {
+        const { quasis } = path.node;
+        if (quasis.length === 1) {
+          check(path, quasis[0].value.cooked || quasis[0].value.raw);
+        }
+      },
+    };
+  },
+};
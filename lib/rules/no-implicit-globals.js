@@ -0,0 +1,51 @@
+/**
+ * Rule: no-implicit-globals
+ * Flags assignments to undeclared names
+ *
+ * In sloppy-mode scripts such an assignment silently creates a global; in
+ * modules and strict code it throws a ReferenceError. Known globals and
+ * names declared by `/* global *\/` comments may be assigned.
+ */
+
+const { declaredGlobals, isKnownGlobal } = require('../scope');
+
+// Identifiers written by an assignment target (possibly a pattern)
+function targets(path) {
+  if (path.isUpdateExpression()) {
+    return path.get('argument').isIdentifier() ? [path.node.argument] : [];
+  }
+  const left = path.get('left');
+  if (left.isVariableDeclaration() || left.isMemberExpression()) return [];
+  return Object.values(left.getBindingIdentifiers());
+}
+
+module.exports = {
+  id: 'no-implicit-globals',
+  description: 'Disallow assignments that create implicit globals',
+  category: 'correctness',
+  severity: 'medium',
+  create(report) {
+    let declared = new Set();
+
+    return {
+      Program(path) {
+        declared = declaredGlobals(path.parent.comments);
+      },
+      'AssignmentExpression|UpdateExpression|ForXStatement'(path) {
+        targets(path).forEach((identifier) => {
+          const { name } = identifier;
+          if (
+            path.scope.hasBinding(name, true) ||
+            isKnownGlobal(name, declared)
+          ) {
+            return;
+          }
+          report(
+            identifier,
+            `Assignment to undeclared variable '${name}' creates an implicit global`,
+          );
+        });
+      },
+    };
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Rule: no-inner-html
+ * Flags assignments to innerHTML, a common XSS vector
+ */
+
+const { propertyName } = require('./helpers');
+
+module.exports = {
+  id: 'no-inner-html',
+  description: 'Disallow assigning to innerHTML',
+  category: 'best-practices',
+  severity: 'low',
+  create(report) {
+    return {
+      AssignmentExpression(path) {
+        const left = path.node.left;
+        if (
+          left.type === 'MemberExpression' &&
+          propertyName(left) === 'innerHTML'
+        ) {
+          report(
+            path.node,
+            'Direct innerHTML assignment can lead to XSS vulnerabilities',
+          );
+        }
+      },
+    };
+  },
+};
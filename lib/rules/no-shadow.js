@@ -0,0 +1,34 @@
+/**
+ * Rule: no-shadow
+ * Flags declarations that hide a variable of the same name in an
+ * enclosing scope
+ *
+ * Shadowing globals is not reported, nor is the name a function or class
+ * expression binds for itself.
+ */
+
+const { eachScope, bindingsOf } = require('../scope');
+
+module.exports = {
+  id: 'no-shadow',
+  description: 'Disallow declarations that shadow an outer variable',
+  category: 'best-practices',
+  severity: 'low',
+  create(report) {
+    return eachScope((scope) => {
+      if (!scope.parent) return;
+
+      bindingsOf(scope).forEach(([name, binding]) => {
+        if (binding.kind === 'local') return;
+        const outer = scope.parent.getBinding(name);
+        // A class declaration binds its name in its own scope too
+        if (!outer || outer.identifier === binding.identifier) return;
+
+        report(
+          binding.identifier,
+          `'${name}' shadows the variable declared on line ${outer.identifier.loc.start.line}`,
+        );
+      });
+    });
+  },
+};
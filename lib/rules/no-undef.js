@@ -0,0 +1,58 @@
+/**
+ * Rule: no-undef
+ * Flags reads of names that are neither declared nor known globals
+ *
+ * Known globals are the ECMAScript built-ins plus the common Node.js and
+ * browser ones; `/* global name *\/` comments declare more. `typeof name`
+ * is a safe existence check and is not reported, nor are TypeScript type
+ * names. Babel does not bind TypeScript enums, namespaces and ambient
+ * (`declare`) functions and classes, so their names are collected
+ * separately and checked once the file is done.
+ */
+
+const { declaredGlobals, isKnownGlobal, isTypeReference } = require('../scope');
+
+module.exports = {
+  id: 'no-undef',
+  description: 'Disallow use of undeclared variables',
+  category: 'correctness',
+  severity: 'medium',
+  create(report) {
+    let declared = new Set();
+    const tsValues = new Set();
+    const unbound = [];
+
+    return {
+      Program: {
+        enter(path) {
+          declared = declaredGlobals(path.parent.comments);
+        },
+        exit() {
+          unbound
+            .filter((node) => !tsValues.has(node.name))
+            .forEach((node) => report(node, `'${node.name}' is not defined`));
+        },
+      },
+      'TSEnumDeclaration|TSModuleDeclaration|TSDeclareFunction|ClassDeclaration'(
+        path,
+      ) {
+        const { id } = path.node;
+        if (path.isClassDeclaration() && !path.node.declare) return;
+        if (id && id.type === 'Identifier') tsValues.add(id.name);
+      },
+      ReferencedIdentifier(path) {
+        const { name } = path.node;
+        if (
+          path.scope.hasBinding(name, true) ||
+          isKnownGlobal(name, declared) ||
+          isTypeReference(path) ||
+          path.parentPath.isUnaryExpression({ operator: 'typeof' }) ||
+          (name === 'arguments' && path.scope.getFunctionParent())
+        ) {
+          return;
+        }
+        unbound.push(path.node);
+      },
+    };
+  },
+};
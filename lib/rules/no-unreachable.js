@@ -0,0 +1,58 @@
+/**
+ * Rule: no-unreachable
+ * Flags statements directly after a return, throw, break or continue
+ *
+ * One issue per block, at the first unreachable statement. Function
+ * declarations and `var` declarations without initializers are hoisted
+ * and still take effect, so they are skipped.
+ */
+
+const TERMINATORS = {
+  ReturnStatement: 'return',
+  ThrowStatement: 'throw',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue',
+};
+
+function isHoisted(statement) {
+  return (
+    statement.type === 'FunctionDeclaration' ||
+    statement.type === 'EmptyStatement' ||
+    (statement.type === 'VariableDeclaration' &&
+      statement.kind === 'var' &&
+      statement.declarations.every((d) => d.init === null)) ||
+    // Type declarations have no runtime effect
+    (statement.type.startsWith('TS') && statement.type !== 'TSEnumDeclaration')
+  );
+}
+
+module.exports = {
+  id: 'no-unreachable',
+  description: 'Disallow code after return, throw, break and continue',
+  category: 'correctness',
+  severity: 'low',
+  create(report) {
+    function check(statements) {
+      const end = statements.findIndex((s) => TERMINATORS[s.type]);
+      if (end === -1) return;
+      const unreachable = statements
+        .slice(end + 1)
+        .find((statement) => !isHoisted(statement));
+      if (unreachable) {
+        report(
+          unreachable,
+          `Unreachable code after ${TERMINATORS[statements[end].type]}`,
+        );
+      }
+    }
+
+    return {
+      'Program|BlockStatement|StaticBlock'(path) {
+        check(path.node.body);
+      },
+      SwitchCase(path) {
+        check(path.node.consequent);
+      },
+    };
+  },
+};
@@ -0,0 +1,118 @@
+/**
+ * Rule: no-unused-vars
+ * Flags variables, functions, classes, parameters and imports that are
+ * never read
+ *
+ * Parameters are only reported after the last one that is used, since
+ * earlier ones hold their position. Names starting with `_`, catch
+ * parameters, destructured siblings of a `...rest` (which exist to leave
+ * a property out) and, in plain scripts, top-level declarations (which
+ * other scripts may use) are not reported. Imports used only as
+ * TypeScript types count as used, and so does `React` in a file with JSX
+ * (the classic JSX transform compiles elements to `React.createElement`).
+ */
+
+const {
+  eachScope,
+  bindingsOf,
+  isModuleCode,
+  isTypeReference,
+} = require('../scope');
+
+// `const { omitted, ...rest } = value`
+function isRestSibling(binding) {
+  const { node } = binding.path;
+  return (
+    binding.path.isVariableDeclarator() &&
+    node.id.type === 'ObjectPattern' &&
+    node.id.properties.some((property) => property.type === 'RestElement') &&
+    node.id.properties.some(
+      (property) =>
+        property.type === 'ObjectProperty' &&
+        property.value === binding.identifier,
+    )
+  );
+}
+
+// A plain parameter before a used one cannot be dropped; a destructured
+// one can always lose the unused name
+function isUnusedParam(binding) {
+  const simple =
+    binding.path.isIdentifier() ||
+    (binding.path.isAssignmentPattern() &&
+      binding.path.node.left === binding.identifier);
+  if (!simple) return true;
+
+  const params = binding.scope.path.get('params');
+  const index = params.findIndex((param) => param.node === binding.path.node);
+  return params
+    .slice(index + 1)
+    .every((param) =>
+      Object.keys(param.getBindingIdentifiers()).every(
+        (name) => !binding.scope.getBinding(name).referenced,
+      ),
+    );
+}
+
+function message(name, binding) {
+  switch (binding.kind) {
+    case 'module':
+      return `'${name}' is imported but never used`;
+    case 'param':
+      return `Parameter '${name}' is never used`;
+    case 'hoisted':
+      return `Function '${name}' is declared but never used`;
+    default:
+      return binding.constantViolations.length > 0
+        ? `'${name}' is assigned a value but never used`
+        : `'${name}' is declared but never used`;
+  }
+}
+
+module.exports = {
+  id: 'no-unused-vars',
+  description: 'Disallow variables, parameters and imports that are never used',
+  category: 'best-practices',
+  severity: 'low',
+  create(report) {
+    const typeNames = new Set();
+    // A class binds its name in its own scope as well
+    const reported = new Set();
+    let moduleCode = null;
+    let hasJsx = false;
+
+    return {
+      Identifier(path) {
+        if (isTypeReference(path)) typeNames.add(path.node.name);
+      },
+      'JSXElement|JSXFragment'() {
+        hasJsx = true;
+      },
+      ...eachScope((scope) => {
+        if (moduleCode === null) {
+          moduleCode = isModuleCode(scope.getProgramParent().path);
+        }
+        if (scope.path.isProgram() && !moduleCode) return;
+
+        bindingsOf(scope).forEach(([name, binding]) => {
+          if (
+            binding.referenced ||
+            reported.has(binding.identifier) ||
+            name.startsWith('_') ||
+            typeNames.has(name) ||
+            (name === 'React' && hasJsx) ||
+            binding.kind === 'local' ||
+            binding.path.isCatchClause() ||
+            binding.path.node.declare ||
+            isRestSibling(binding) ||
+            (binding.kind === 'param' && !isUnusedParam(binding))
+          ) {
+            return;
+          }
+          reported.add(binding.identifier);
+          report(binding.identifier, message(name, binding));
+        });
+      }),
+    };
+  },
+};
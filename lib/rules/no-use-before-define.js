@@ -0,0 +1,46 @@
+/**
+ * Rule: no-use-before-define
+ * Flags variables and classes used above their declaration
+ *
+ * For `let`, `const` and classes this throws a ReferenceError (the
+ * temporal dead zone); a `var` is still `undefined`. Function
+ * declarations and imports are hoisted and not reported. Uses inside a
+ * nested function are not reported either, since the function may run
+ * after the declaration.
+ */
+
+const { eachScope, bindingsOf } = require('../scope');
+
+const KINDS = ['var', 'let', 'const'];
+
+module.exports = {
+  id: 'no-use-before-define',
+  description: 'Disallow using variables before they are declared',
+  category: 'correctness',
+  severity: 'medium',
+  create(report) {
+    const reported = new Set();
+
+    return eachScope((scope) => {
+      bindingsOf(scope).forEach(([name, binding]) => {
+        if (!KINDS.includes(binding.kind)) return;
+        const declaredAt = binding.identifier.start;
+        const activation = binding.scope.getFunctionParent();
+
+        [...binding.referencePaths, ...binding.constantViolations]
+          .filter(
+            (use) =>
+              // `export class A {}` counts as a use of A
+              !use.isExportDeclaration() &&
+              use.node.start < declaredAt &&
+              use.scope.getFunctionParent() === activation &&
+              !reported.has(use.node),
+          )
+          .forEach((use) => {
+            reported.add(use.node);
+            report(use.node, `'${name}' is used before it is declared`);
+          });
+      });
+    });
+  },
+};
@@ -0,0 +1,104 @@
+/**
+ * Rule: no-var
+ * Flags var declarations
+ *
+ * Fix: `const` when no declared name is ever reassigned, `let` otherwise.
+ * Declarations whose names are used outside the block (hoisting),
+ * before the declaration, redeclared, or captured by a closure inside a
+ * loop are left alone since block scoping would change their behaviour.
+ * Issues say whether the declaration can safely become `const`
+ * (`can_be_const`).
+ */
+
+const { canBeConst, reassignments } = require('../scope');
+
+const BLOCK_PARENTS = ['Program', 'BlockStatement', 'StaticBlock'];
+
+function within(node, container) {
+  return node.start >= container.start && node.end <= container.end;
+}
+
+// The node a let/const declaration would be scoped to, if any
+function blockFor(path) {
+  const parent = path.parentPath;
+  if (parent.isFor() && parent.node.body !== path.node) return parent.node;
+  return BLOCK_PARENTS.includes(parent.node.type) ? parent.node : null;
+}
+
+function unsafeReason(path) {
+  const block = blockFor(path);
+  if (!block) return 'declaration is not directly inside a block';
+
+  const loop = path.findParent((p) => p.isLoop() || p.isFunction());
+  const inLoop = Boolean(loop && loop.isLoop());
+  const functionParent = path.getFunctionParent();
+
+  for (const name of Object.keys(path.getBindingIdentifiers())) {
+    const binding = path.scope.getBinding(name);
+    if (!binding || binding.kind !== 'var') {
+      return `'${name}' is also declared another way`;
+    }
+    const writes = reassignments(binding);
+    if (
+      binding.path.parent !== path.node ||
+      writes.some((v) => v.isVariableDeclarator())
+    ) {
+      return `'${name}' is declared more than once`;
+    }
+
+    const uses = [...binding.referencePaths, ...writes];
+    for (const use of uses) {
+      if (!within(use.node, block)) {
+        return `'${name}' is used outside its block`;
+      }
+      if (use.node.start < path.node.end) {
+        return `'${name}' is used before it is declared`;
+      }
+      if (inLoop && use.getFunctionParent() !== functionParent) {
+        return `'${name}' is captured by a closure inside a loop`;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  id: 'no-var',
+  description: 'Require let or const instead of var',
+  category: 'best-practices',
+  severity: 'low',
+  fixable: true,
+  create(report) {
+    return {
+      VariableDeclaration(path) {
+        const { node } = path;
+        if (node.kind !== 'var') return;
+
+        const reason = node.declare
+          ? 'ambient declaration'
+          : unsafeReason(path);
+        const constant = !reason && canBeConst(path);
+        const fix = reason
+          ? { skip: reason }
+          : {
+              edits: [
+                {
+                  start: node.start,
+                  end: node.start + 'var'.length,
+                  text: constant ? 'const' : 'let',
+                },
+              ],
+            };
+
+        report(
+          node,
+          'Use let or const instead of var for better scoping',
+          fix,
+          {
+            can_be_const: constant,
+          },
+        );
+      },
+    };
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Rule: prefer-const
+ * Flags let declarations whose variables are never reassigned
+ *
+ * Fix: `let` becomes `const`. A declaration is only reported when every
+ * name it declares qualifies, since one declaration cannot mix the two.
+ */
+
+const { canBeConst } = require('../scope');
+
+module.exports = {
+  id: 'prefer-const',
+  description: 'Require const for variables that are never reassigned',
+  category: 'best-practices',
+  severity: 'low',
+  fixable: true,
+  create(report) {
+    return {
+      VariableDeclaration(path) {
+        const { node } = path;
+        if (node.kind !== 'let' || node.declare || !canBeConst(path)) return;
+
+        const names = Object.keys(path.getBindingIdentifiers());
+        report(
+          node,
+          names.length === 1
+            ? `'${names[0]}' is never reassigned; use const instead of let`
+            : `${names.map((name) => `'${name}'`).join(', ')} are never reassigned; use const instead of let`,
+          {
+            edits: [
+              {
+                start: node.start,
+                end: node.start + 'let'.length,
+                text: 'const',
+              },
+            ],
+          },
+        );
+      },
+    };
+  },
+};
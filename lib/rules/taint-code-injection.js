@@ -0,0 +1,13 @@
+/**
+ * Rule: taint-code-injection
+ * Untrusted input evaluated as code by eval(), Function() or string timers
+ */
+
+const { taintRule } = require('../taint');
+
+module.exports = taintRule({
+  id: 'taint-code-injection',
+  sink: 'code',
+  description: 'Disallow evaluating untrusted input as code',
+  title: 'Code injection',
+});
@@ -0,0 +1,13 @@
+/**
+ * Rule: taint-command-injection
+ * Untrusted input in child_process commands
+ */
+
+const { taintRule } = require('../taint');
+
+module.exports = taintRule({
+  id: 'taint-command-injection',
+  sink: 'command',
+  description: 'Disallow untrusted input in shell commands',
+  title: 'Command injection',
+});
@@ -0,0 +1,13 @@
+/**
+ * Rule: taint-open-redirect
+ * Untrusted input used as a redirect target
+ */
+
+const { taintRule } = require('../taint');
+
+module.exports = taintRule({
+  id: 'taint-open-redirect',
+  sink: 'redirect',
+  description: 'Disallow redirecting to untrusted URLs',
+  title: 'Open redirect',
+});
@@ -0,0 +1,13 @@
+/**
+ * Rule: taint-path-traversal
+ * Untrusted input used as a file system path
+ */
+
+const { taintRule } = require('../taint');
+
+module.exports = taintRule({
+  id: 'taint-path-traversal',
+  sink: 'path',
+  description: 'Disallow untrusted input in file system paths',
+  title: 'Path traversal',
+});
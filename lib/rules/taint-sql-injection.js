@@ -0,0 +1,13 @@
+/**
+ * Rule: taint-sql-injection
+ * Untrusted input concatenated into SQL passed to query()/execute()
+ */
+
+const { taintRule } = require('../taint');
+
+module.exports = taintRule({
+  id: 'taint-sql-injection',
+  sink: 'sql',
+  description: 'Disallow SQL built by concatenating untrusted input',
+  title: 'SQL injection',
+});
@@ -0,0 +1,13 @@
+/**
+ * Rule: taint-xss
+ * Untrusted input written as HTML (innerHTML, outerHTML, document.write)
+ */
+
+const { taintRule } = require('../taint');
+
+module.exports = taintRule({
+  id: 'taint-xss',
+  sink: 'html',
+  description: 'Disallow writing untrusted input as HTML',
+  title: 'Cross-site scripting',
+});
@@ -0,0 +1,128 @@
+/**
+ * Sandbox
+ * Runs snippets in an isolated vm context on a worker thread
+ *
+ * Each run gets its own worker with a capped heap, a CPU time limit for the
+ * snippet (enforced by vm, including microtasks) and a wall-clock limit
+ * after which the worker is terminated. Snippets have no `require`,
+ * `process`, timers, file system or network access; they can use the
+ * language built-ins and `console`, whose output is captured up to a byte
+ * cap. The result is the snippet's completion value (the value of its last
+ * expression statement), awaited if it is a promise.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+// [default, maximum] for each limit
+const LIMITS = {
+  timeout_ms: [1000, 10000],
+  memory_limit_mb: [32, 256],
+  max_output_bytes: [64 * 1024, 1024 * 1024],
+};
+
+// Time allowed on top of the CPU limit for starting and reporting
+const WALL_CLOCK_GRACE_MS = 2000;
+
+class SandboxOptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxOptionError';
+  }
+}
+
+function resolveLimits(options) {
+  const limits = {};
+  Object.keys(LIMITS).forEach((name) => {
+    const [fallback, maximum] = LIMITS[name];
+    const value = options[name] === undefined ? fallback : options[name];
+    if (!Number.isInteger(value) || value <= 0 || value > maximum) {
+      throw new SandboxOptionError(
+        `${name} must be a positive integer no greater than ${maximum}`,
+      );
+    }
+    limits[name] = value;
+  });
+  return limits;
+}
+
+/**
+ * Execute `code` and resolve with { status, result, error, output,
+ * output_truncated, duration_ms, limits }. `status` is ok, error, timeout
+ * or memory_limit; the promise only rejects for invalid options.
+ */
+function executeCode(code, options = {}) {
+  const limits = resolveLimits(options);
+
+  return new Promise((resolve) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        code,
+        timeout: limits.timeout_ms,
+        maxOutputBytes: limits.max_output_bytes,
+      },
+      env: {},
+      argv: [],
+      stdout: true,
+      stderr: true,
+      resourceLimits: {
+        maxOldGenerationSizeMb: limits.memory_limit_mb,
+        maxYoungGenerationSizeMb: Math.max(
+          1,
+          Math.floor(limits.memory_limit_mb / 4),
+        ),
+      },
+    });
+
+    let finished = false;
+    const finish = (report) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolve({ ...report, limits });
+    };
+    const failure = (status, name, message) => ({
+      status,
+      result: null,
+      error: { name, message, stack: null },
+      output: [],
+      output_truncated: false,
+      duration_ms: null,
+    });
+
+    const timer = setTimeout(
+      () =>
+        finish(
+          failure(
+            'timeout',
+            'TimeoutError',
+            `Execution exceeded ${limits.timeout_ms}ms`,
+          ),
+        ),
+      limits.timeout_ms + WALL_CLOCK_GRACE_MS,
+    );
+
+    worker.on('message', finish);
+    worker.on('error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        finish(
+          failure(
+            'memory_limit',
+            'RangeError',
+            `Execution exceeded the ${limits.memory_limit_mb}MB memory limit`,
+          ),
+        );
+      } else {
+        finish(failure('error', error.name, error.message));
+      }
+    });
+    worker.on('exit', () =>
+      finish(failure('error', 'Error', 'Sandbox exited without a result')),
+    );
+  });
+}
+
+module.exports = { executeCode, SandboxOptionError, LIMITS };
@@ -0,0 +1,287 @@
+/**
+ * Sandbox Worker
+ * Runs one snippet in a fresh vm context inside a worker thread
+ *
+ * The context gets nothing from this realm: its global is a null-prototype
+ * object and `console` is defined by code evaluated inside it, so no host
+ * function (and through it `process` or `require`) is reachable. String
+ * code generation (eval, new Function) is disabled in the context.
+ *
+ * The host never reads a value the snippet controls: a property read,
+ * `instanceof` or a proxy trap would run snippet code outside the CPU
+ * limit. Values are handed to the context runtime as they are, then
+ * described and serialized inside the context under the same limit, and
+ * only a JSON string comes out. The runtime is a frozen, read-only global
+ * installed before the snippet runs. The parent's wall-clock timer is the
+ * backstop for anything else.
+ */
+
+const crypto = require('crypto');
+const vm = require('vm');
+const { types } = require('util');
+const { parentPort, workerData } = require('worker_threads');
+
+// Evaluated inside the context: console capture and value description.
+// Must not reference anything from this module. The snippet can see the
+// runtime but not use it: every call needs `key`, which only appears in
+// the host's own scripts (strict mode keeps `caller` from exposing it).
+function contextRuntime(maxOutputBytes, key) {
+  'use strict';
+
+  const state = { output: [], bytes: 0, truncated: false };
+  const MAX_DEPTH = 3;
+  const MAX_ITEMS = 50;
+
+  function describe(value, depth, seen) {
+    if (typeof value === 'string') return depth === 0 ? value : `'${value}'`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value === 'function') {
+      return `[Function: ${value.name || 'anonymous'}]`;
+    }
+    if (value === null || typeof value !== 'object') return String(value);
+    if (value instanceof Error) return value.stack || String(value);
+    if (seen.includes(value)) return '[Circular]';
+    if (depth > MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+    const next = seen.concat([value]);
+    if (Array.isArray(value)) {
+      const items = value
+        .slice(0, MAX_ITEMS)
+        .map((item) => describe(item, depth + 1, next));
+      if (value.length > MAX_ITEMS) items.push('...');
+      return `[ ${items.join(', ')} ]`;
+    }
+    if (value instanceof Map) {
+      const entries = Array.from(value)
+        .slice(0, MAX_ITEMS)
+        .map(
+          ([k, v]) =>
+            `${describe(k, depth + 1, next)} => ${describe(v, depth + 1, next)}`,
+        );
+      return `Map(${value.size}) { ${entries.join(', ')} }`;
+    }
+    if (value instanceof Set) {
+      const entries = Array.from(value)
+        .slice(0, MAX_ITEMS)
+        .map((item) => describe(item, depth + 1, next));
+      return `Set(${value.size}) { ${entries.join(', ')} }`;
+    }
+    if (value instanceof Promise) return 'Promise { <pending> }';
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof RegExp) return String(value);
+
+    const keys = Object.keys(value);
+    const entries = keys
+      .slice(0, MAX_ITEMS)
+      .map((key) => `${key}: ${describe(value[key], depth + 1, next)}`);
+    if (keys.length > MAX_ITEMS) entries.push('...');
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+
+  function write(level, args) {
+    const message = Array.prototype.map
+      .call(args, (arg) => describe(arg, 0, []))
+      .join(' ');
+    if (state.truncated) return;
+    if (state.bytes + message.length > maxOutputBytes) {
+      state.truncated = true;
+      return;
+    }
+    state.bytes += message.length;
+    state.output.push({ level, message });
+  }
+
+  const levels = ['log', 'info', 'debug', 'warn', 'error', 'trace', 'dir'];
+  const console = {};
+  levels.forEach((level) => {
+    console[level] = function () {
+      write(level, arguments);
+    };
+  });
+  globalThis.console = console;
+
+  // Captured before the snippet can replace them
+  const stringify = JSON.stringify;
+  const NativePromise = Promise;
+
+  let value;
+  let settled = null;
+
+  function check(presented) {
+    if (presented !== key) throw new TypeError('Sandbox runtime is private');
+  }
+
+  // Errors of any realm, including the host's (a failed hand-over)
+  function error(thrown) {
+    if (Object.prototype.toString.call(thrown) === '[object Error]') {
+      return {
+        name: String(thrown.name),
+        message: String(thrown.message),
+        stack: String(thrown.stack),
+      };
+    }
+    return { name: 'Error', message: describe(thrown, 1, []), stack: null };
+  }
+
+  return Object.freeze({
+    // The completion value; a promise is followed until microtasks ran
+    settle(presented, completion) {
+      check(presented);
+      value = completion;
+      if (!(value instanceof NativePromise)) return;
+      settled = { state: 'pending' };
+      value.then(
+        (result) => {
+          settled = { state: 'fulfilled', value: result };
+        },
+        (reason) => {
+          settled = { state: 'rejected', value: reason };
+        },
+      );
+    },
+    // { result } or { error } for the settled completion value, as JSON
+    report(presented) {
+      check(presented);
+      if (settled && settled.state === 'rejected') {
+        return stringify({ error: error(settled.value) });
+      }
+      const shown =
+        settled && settled.state === 'fulfilled' ? settled.value : value;
+      const result = {
+        type: shown === null ? 'null' : typeof shown,
+        value: describe(shown, 0, []),
+      };
+      if (settled) result.promise = settled.state;
+      return stringify({ result });
+    },
+    reportThrown(presented, thrown) {
+      check(presented);
+      return stringify({ error: error(thrown) });
+    },
+    output(presented) {
+      check(presented);
+      return stringify({ output: state.output, truncated: state.truncated });
+    },
+  });
+}
+
+// The vm's timeout error, recognized from its own data properties so no
+// getter or proxy trap runs. A snippet faking one only reports a timeout.
+function isTimeout(thrown) {
+  if (thrown === null || typeof thrown !== 'object' || types.isProxy(thrown)) {
+    return false;
+  }
+  const code = Object.getOwnPropertyDescriptor(thrown, 'code');
+  return Boolean(code) && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+// Runs `expression` (a runtime call returning JSON) under the CPU limit;
+// only the JSON string leaves the context
+function take(inContext, expression) {
+  const json = inContext(expression);
+  if (typeof json !== 'string') throw new Error('Sandbox report unavailable');
+  return JSON.parse(json);
+}
+
+// Hands a snippet value to the context without reading it. Fails if the
+// snippet already claimed the name.
+function handOver(context, name, value) {
+  Object.defineProperty(context, name, { value, configurable: false });
+}
+
+function run({ code, timeout, maxOutputBytes }) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  // displayErrors would decorate thrown values' stacks outside the limit
+  const inContext = (source) =>
+    vm.runInContext(source, context, {
+      timeout,
+      filename: 'sandbox',
+      displayErrors: false,
+    });
+
+  const key = `'${crypto.randomBytes(16).toString('hex')}'`;
+  inContext(
+    `Object.defineProperty(globalThis, '__sandbox', {
+      value: (${contextRuntime.toString()})(${Number(maxOutputBytes)}, ${key}),
+    })`,
+  );
+
+  const started = process.hrtime.bigint();
+  let status = 'ok';
+  let error = null;
+  let result = null;
+
+  let script = null;
+  try {
+    script = new vm.Script(code, { filename: 'snippet.js' });
+  } catch (compileError) {
+    // Compile errors come from this realm
+    status = 'error';
+    error = {
+      name: compileError.name,
+      message: compileError.message,
+      stack: null,
+    };
+  }
+
+  if (script) {
+    try {
+      handOver(
+        context,
+        '__completion',
+        script.runInContext(context, { timeout, displayErrors: false }),
+      );
+      inContext(`__sandbox.settle(${key}, __completion)`);
+      const report = take(inContext, `__sandbox.report(${key})`);
+      if (report.error) {
+        status = 'error';
+        error = report.error;
+      } else {
+        result = report.result;
+      }
+    } catch (thrown) {
+      status = 'error';
+      if (isTimeout(thrown)) {
+        status = 'timeout';
+        error = {
+          name: 'TimeoutError',
+          message: `Script execution timed out after ${timeout}ms`,
+          stack: null,
+        };
+      } else {
+        try {
+          handOver(context, '__thrown', thrown);
+          error = take(
+            inContext,
+            `__sandbox.reportThrown(${key}, __thrown)`,
+          ).error;
+        } catch (describeError) {
+          error = { name: 'Error', message: 'Uncaught exception', stack: null };
+        }
+      }
+    }
+  }
+
+  let output = [];
+  let truncated = false;
+  try {
+    ({ output, truncated } = take(inContext, `__sandbox.output(${key})`));
+  } catch (outputError) {
+    // Output stays empty when the snippet keeps the runtime busy
+  }
+  return {
+    status,
+    result,
+    error,
+    output,
+    output_truncated: truncated,
+    duration_ms:
+      Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+  };
+}
+
+parentPort.postMessage(run(workerData));
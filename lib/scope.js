@@ -0,0 +1,297 @@
+/**
+ * Scope Analysis
+ * Bindings, references and known globals for the scope rules
+ *
+ * Babel's scope tracker records every binding with the places it is read
+ * (`referencePaths`) and written after its declaration
+ * (`constantViolations`). The rules in lib/rules read those records; this
+ * module adds the pieces Babel leaves out: which undeclared names are
+ * real globals, which identifiers are TypeScript types rather than
+ * values, and which `var` / `let` declarations could be `const`.
+ */
+
+// ECMAScript built-ins
+const ES_GLOBALS = [
+  'AggregateError',
+  'Array',
+  'ArrayBuffer',
+  'Atomics',
+  'BigInt',
+  'BigInt64Array',
+  'BigUint64Array',
+  'Boolean',
+  'DataView',
+  'Date',
+  'decodeURI',
+  'decodeURIComponent',
+  'encodeURI',
+  'encodeURIComponent',
+  'Error',
+  'escape',
+  'eval',
+  'EvalError',
+  'FinalizationRegistry',
+  'Float32Array',
+  'Float64Array',
+  'Function',
+  'globalThis',
+  'Infinity',
+  'Int16Array',
+  'Int32Array',
+  'Int8Array',
+  'Intl',
+  'isFinite',
+  'isNaN',
+  'Iterator',
+  'JSON',
+  'Map',
+  'Math',
+  'NaN',
+  'Number',
+  'Object',
+  'parseFloat',
+  'parseInt',
+  'Promise',
+  'Proxy',
+  'RangeError',
+  'ReferenceError',
+  'Reflect',
+  'RegExp',
+  'Set',
+  'SharedArrayBuffer',
+  'String',
+  'Symbol',
+  'SyntaxError',
+  'TypeError',
+  'Uint16Array',
+  'Uint32Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'undefined',
+  'unescape',
+  'URIError',
+  'WeakMap',
+  'WeakRef',
+  'WeakSet',
+];
+
+// Available in both Node.js and browsers
+const SHARED_GLOBALS = [
+  'AbortController',
+  'AbortSignal',
+  'atob',
+  'Blob',
+  'BroadcastChannel',
+  'btoa',
+  'clearInterval',
+  'clearTimeout',
+  'console',
+  'crypto',
+  'CustomEvent',
+  'Event',
+  'EventTarget',
+  'fetch',
+  'FormData',
+  'Headers',
+  'MessageChannel',
+  'MessageEvent',
+  'MessagePort',
+  'performance',
+  'queueMicrotask',
+  'ReadableStream',
+  'Request',
+  'Response',
+  'setInterval',
+  'setTimeout',
+  'structuredClone',
+  'TextDecoder',
+  'TextEncoder',
+  'URL',
+  'URLSearchParams',
+  'WebAssembly',
+  'WritableStream',
+];
+
+// Node.js, including the CommonJS module wrapper's names
+const NODE_GLOBALS = [
+  '__dirname',
+  '__filename',
+  'Buffer',
+  'clearImmediate',
+  'exports',
+  'global',
+  'module',
+  'process',
+  'require',
+  'setImmediate',
+];
+
+const BROWSER_GLOBALS = [
+  'alert',
+  'cancelAnimationFrame',
+  'caches',
+  'confirm',
+  'customElements',
+  'document',
+  'DOMParser',
+  'Element',
+  'File',
+  'FileReader',
+  'getComputedStyle',
+  'history',
+  'HTMLElement',
+  'Image',
+  'indexedDB',
+  'IntersectionObserver',
+  'localStorage',
+  'location',
+  'matchMedia',
+  'MutationObserver',
+  'navigator',
+  'Node',
+  'Notification',
+  'prompt',
+  'requestAnimationFrame',
+  'ResizeObserver',
+  'screen',
+  'self',
+  'sessionStorage',
+  'WebSocket',
+  'window',
+  'Worker',
+  'XMLHttpRequest',
+];
+
+const KNOWN_GLOBALS = new Set([
+  ...ES_GLOBALS,
+  ...SHARED_GLOBALS,
+  ...NODE_GLOBALS,
+  ...BROWSER_GLOBALS,
+]);
+
+// `/* global name, other:writable */` comments declare extra globals
+const GLOBAL_COMMENT = /^\s*globals?\s+([\s\S]*)$/;
+
+// TypeScript nodes that wrap a value expression rather than a type
+const TS_EXPRESSIONS = [
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSNonNullExpression',
+  'TSTypeAssertion',
+  'TSInstantiationExpression',
+];
+
+/**
+ * Names declared by `/* global *\/` comments in a file's `comments`.
+ */
+function declaredGlobals(comments = []) {
+  const names = new Set();
+  comments.forEach((comment) => {
+    if (comment.type !== 'CommentBlock') return;
+    const match = comment.value.match(GLOBAL_COMMENT);
+    if (!match) return;
+    match[1]
+      .split(',')
+      .map((entry) => entry.split(':')[0].trim())
+      .filter(Boolean)
+      .forEach((name) => names.add(name));
+  });
+  return names;
+}
+
+function isKnownGlobal(name, declared = new Set()) {
+  return KNOWN_GLOBALS.has(name) || declared.has(name);
+}
+
+/**
+ * Whether an identifier names a TypeScript type (or a type declaration)
+ * rather than a runtime value.
+ */
+function isTypeReference(path) {
+  const type = path.parent.type;
+  return type.startsWith('TS') && !TS_EXPRESSIONS.includes(type);
+}
+
+/**
+ * Whether the file is a module, ES or CommonJS. Top-level names in a
+ * plain script may be used by other scripts on the page.
+ */
+function isModuleCode(programPath) {
+  if (programPath.node.sourceType === 'module') return true;
+  return ['require', 'module', 'exports'].some(
+    (name) =>
+      !programPath.scope.hasBinding(name, true) &&
+      programPath.scope.hasGlobal(name),
+  );
+}
+
+/**
+ * A visitor calling `callback(scope)` once for every scope, when the
+ * traversal is done (so rules can combine bindings with facts collected
+ * from other nodes). Babel records every binding and reference up front.
+ */
+function eachScope(callback) {
+  const scopes = new Set();
+  return {
+    Scopable(path) {
+      scopes.add(path.scope);
+    },
+    Program: {
+      exit() {
+        scopes.forEach(callback);
+      },
+    },
+  };
+}
+
+/**
+ * `[name, binding]` pairs for the bindings `scope` owns. Babel lists an
+ * ambient (`declare`) class in its own scope without a binding; those
+ * entries are left out.
+ */
+function bindingsOf(scope) {
+  return Object.entries(scope.bindings).filter(([, binding]) => binding);
+}
+
+/**
+ * The writes to `binding` after its declaration. Babel also lists the
+ * declarator of a `for (var x in/of ...)` loop, which the loop assigns on
+ * each iteration; that one is the declaration itself and is left out.
+ */
+function reassignments(binding) {
+  return binding.constantViolations.filter(
+    (violation) => violation.node !== binding.path.node,
+  );
+}
+
+/**
+ * Whether the `var` or `let` declaration at `path` could be `const`: every
+ * declarator is initialized (or it declares a for-in/of variable) and no
+ * declared name is ever reassigned.
+ */
+function canBeConst(path) {
+  const { node } = path;
+  const parent = path.parentPath;
+  const isForInOf =
+    (parent.isForInStatement() || parent.isForOfStatement()) &&
+    parent.node.left === node;
+  if (!isForInOf && node.declarations.some((d) => d.init === null)) {
+    return false;
+  }
+  return Object.keys(path.getBindingIdentifiers()).every((name) => {
+    const binding = path.scope.getBinding(name);
+    return binding && reassignments(binding).length === 0;
+  });
+}
+
+module.exports = {
+  declaredGlobals,
+  isKnownGlobal,
+  isTypeReference,
+  isModuleCode,
+  eachScope,
+  bindingsOf,
+  canBeConst,
+  reassignments,
+  KNOWN_GLOBALS,
+};
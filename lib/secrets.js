@@ -0,0 +1,237 @@
+/**
+ * Secrets Detection
+ * Finds hardcoded credentials: provider-specific token formats plus
+ * entropy scoring for string values
+ *
+ * Secret values never leave this module in the clear: every finding
+ * carries a `redacted` form that keeps at most a short prefix (or, for
+ * connection strings, everything but the password).
+ */
+
+const MASK = '****';
+
+// Provider formats. `group` names the capture holding the secret itself
+// when the match also covers surrounding context.
+const PATTERNS = [
+  {
+    type: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    regex: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    type: 'github-token',
+    description: 'GitHub token',
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g,
+  },
+  {
+    type: 'slack-token',
+    description: 'Slack token',
+    regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  },
+  {
+    type: 'slack-webhook',
+    description: 'Slack webhook URL',
+    regex:
+      /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g,
+  },
+  {
+    type: 'stripe-secret-key',
+    description: 'Stripe secret key',
+    regex: /\b[sr]k_live_[A-Za-z0-9]{20,}\b/g,
+  },
+  {
+    type: 'google-api-key',
+    description: 'Google API key',
+    regex: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    type: 'jwt',
+    description: 'JSON Web Token',
+    regex:
+      /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    type: 'private-key',
+    description: 'private key',
+    regex:
+      /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----|$)/g,
+    prefix: (value) => value.match(/^-----BEGIN [A-Z ]+-----/)[0],
+  },
+  {
+    type: 'database-url',
+    description: 'database URL with a password',
+    regex:
+      /\b(?:postgres(?:ql)?|mysql|mariadb|mssql|mongodb(?:\+srv)?|rediss?|amqps?):\/\/[^:@\s/'"`]*:([^@\s/'"`]+)@/dg,
+    group: 1,
+  },
+];
+
+// Names that suggest the value assigned to them is a credential
+const SECRET_NAME =
+  /(pass(word|wd)?|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credential|auth)$/i;
+const PLACEHOLDER =
+  /^(x+|\*+|changeme|password|secret|token|test|dummy|placeholder|none|null|undefined)$|example|placeholder|your[_-]|<[^>]*>|\$\{|\{\{/i;
+
+// Subresource Integrity hashes (integrity="sha384-...") are public
+const INTEGRITY = /^sha(?:256|384|512)-[A-Za-z0-9+/]+={0,2}$/;
+
+// Bits per character a random-looking value needs to reach
+const ENTROPY_THRESHOLDS = { base64: 4.0, hex: 3.0, named: 2.5 };
+
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+// Character classes spelled out ('ABC...xyz0123456789'): almost every
+// character follows the one before it
+function isCharacterRun(value) {
+  let steps = 0;
+  for (let i = 1; i < value.length; i++) {
+    if (value.charCodeAt(i) === value.charCodeAt(i - 1) + 1) steps++;
+  }
+  return steps >= (value.length - 1) * 0.8;
+}
+
+function mask(value, keep = 4) {
+  return value.length > keep * 2 ? value.slice(0, keep) + MASK : MASK;
+}
+
+/**
+ * Find provider-format secrets in `text`.
+ * Returns [{ type, description, start, end, replacement, redacted }]:
+ * start/end cover the secret itself, `replacement` is what stands in for
+ * it and `redacted` is the whole match with the secret replaced.
+ */
+function matchPatterns(text) {
+  const found = [];
+  PATTERNS.forEach((pattern) => {
+    pattern.regex.lastIndex = 0;
+    let match;
+    while ((match = pattern.regex.exec(text)) !== null) {
+      const [start, end] = pattern.group
+        ? match.indices[pattern.group]
+        : [match.index, match.index + match[0].length];
+      const secret = text.slice(start, end);
+      let replacement = MASK;
+      if (pattern.prefix) replacement = pattern.prefix(secret) + MASK;
+      else if (!pattern.group) replacement = mask(secret);
+      found.push({
+        type: pattern.type,
+        description: pattern.description,
+        start,
+        end,
+        replacement,
+        redacted:
+          text.slice(match.index, start) +
+          replacement +
+          text.slice(end, match.index + match[0].length),
+      });
+    }
+  });
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Score a whole string value. `name` is the variable or property it is
+ * assigned to, if any; credential-like names lower the bar. Returns
+ * { type, description, entropy, redacted } or null.
+ */
+function scoreString(value, name) {
+  if (/\s/.test(value) || PLACEHOLDER.test(value)) return null;
+
+  const named = Boolean(name && SECRET_NAME.test(name));
+  const entropy = shannonEntropy(value);
+  const rounded = Math.round(entropy * 100) / 100;
+
+  if (named && value.length >= 8 && entropy >= ENTROPY_THRESHOLDS.named) {
+    return {
+      type: 'generic-credential',
+      description: `credential assigned to ${name}`,
+      entropy: rounded,
+      redacted: MASK,
+    };
+  }
+
+  if (INTEGRITY.test(value) || isCharacterRun(value)) return null;
+  const hex = /^[0-9a-f]+$/i.test(value);
+  const randomLooking = hex
+    ? value.length >= 32 &&
+      /\d/.test(value) &&
+      /[a-f]/i.test(value) &&
+      entropy >= ENTROPY_THRESHOLDS.hex
+    : value.length >= 20 &&
+      /^[A-Za-z0-9+/=_-]+$/.test(value) &&
+      /[a-z]/.test(value) &&
+      /[A-Z]/.test(value) &&
+      /\d/.test(value) &&
+      entropy >= ENTROPY_THRESHOLDS.base64;
+
+  if (!randomLooking) return null;
+  return {
+    type: 'high-entropy-string',
+    description: 'high-entropy string',
+    entropy: rounded,
+    redacted: mask(value),
+  };
+}
+
+// Quoted strings in raw text, with the name they are assigned to
+const QUOTED =
+  /(?:['"]?([\w$.-]+)['"]?\s*[:=]\s*)?(['"`])((?:\\.|(?!\2)[^\\\n])*)\2/g;
+
+/**
+ * Replace every secret in `text` (provider formats, and quoted strings
+ * that score as secrets) with its redacted form.
+ * Returns { text, count }.
+ */
+function redactSecrets(text) {
+  const ranges = matchPatterns(text).map(({ start, end, replacement }) => ({
+    start,
+    end,
+    replacement,
+  }));
+
+  QUOTED.lastIndex = 0;
+  let match;
+  while ((match = QUOTED.exec(text)) !== null) {
+    const [whole, name, , value] = match;
+    const start = match.index + whole.length - value.length - 1;
+    const secret = scoreString(value, name);
+    if (secret) {
+      ranges.push({
+        start,
+        end: start + value.length,
+        replacement: secret.redacted,
+      });
+    }
+  }
+
+  const taken = [];
+  ranges
+    .sort((a, b) => a.start - b.start)
+    .forEach((range) => {
+      const last = taken[taken.length - 1];
+      if (!last || range.start >= last.end) taken.push(range);
+    });
+
+  return {
+    text: taken.reduceRight(
+      (result, { start, end, replacement }) =>
+        result.slice(0, start) + replacement + result.slice(end),
+      text,
+    ),
+    count: taken.length,
+  };
+}
+
+module.exports = {
+  matchPatterns,
+  scoreString,
+  redactSecrets,
+  shannonEntropy,
+};
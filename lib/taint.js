@@ -0,0 +1,636 @@
+/**
+ * Taint Tracking
+ * Traces untrusted input (request data, argv, env, the URL) through
+ * variables, string building and local function calls to dangerous sinks
+ *
+ * The analysis is per file and flow-insensitive: a variable is tainted if
+ * any assignment to it carries tainted data, and a local function's
+ * parameter is tainted if any call passes tainted data to it. Values
+ * passed through a sanitizer (Number, parseInt, encodeURIComponent, ...)
+ * are clean. Each flow records its path from source to sink.
+ */
+
+const { propertyName, isGlobal, isMember } = require('./rules/helpers');
+
+// Objects whose listed properties hold untrusted input
+const SOURCES = {
+  req: ['query', 'body', 'params', 'headers', 'cookies'],
+  request: ['query', 'body', 'params', 'headers', 'cookies'],
+  process: ['argv', 'env'],
+  location: ['hash', 'search', 'href'],
+};
+
+// Calls whose result carries the taint of their arguments
+const PROPAGATORS = [
+  'String',
+  'decodeURI',
+  'decodeURIComponent',
+  'unescape',
+  'atob',
+  'JSON.parse',
+  'JSON.stringify',
+  'Buffer.from',
+  'path.join',
+  'path.resolve',
+  'path.normalize',
+  'util.format',
+];
+
+// Calls whose result is safe whatever they are given
+const SANITIZERS = [
+  'Number',
+  'Boolean',
+  'parseInt',
+  'parseFloat',
+  'encodeURI',
+  'encodeURIComponent',
+  'escape',
+  'path.basename',
+];
+const SANITIZER_NAME = /^(escape|sanitize|validate)/i;
+
+const SQL_KEYWORDS =
+  /\b(select|insert\s+into|update|delete\s+from|where|values|order\s+by|drop\s+table)\b/i;
+
+const CHILD_PROCESS_FUNCTIONS = [
+  'exec',
+  'execSync',
+  'execFile',
+  'execFileSync',
+  'spawn',
+  'spawnSync',
+];
+const FS_FUNCTIONS =
+  /^(readFile|writeFile|appendFile|createReadStream|createWriteStream|unlink|rm|rmdir|readdir|mkdir|stat|lstat|open|access|copyFile|rename)(Sync)?$/;
+const SQL_METHODS = [
+  'query',
+  'execute',
+  'raw',
+  '$queryRawUnsafe',
+  '$executeRawUnsafe',
+];
+const HTML_PROPERTIES = ['innerHTML', 'outerHTML'];
+
+const MODULES = {
+  child_process: 'child_process',
+  'node:child_process': 'child_process',
+  fs: 'fs',
+  'fs/promises': 'fs',
+  'fs-extra': 'fs',
+  'node:fs': 'fs',
+  'node:fs/promises': 'fs',
+};
+
+// Sink kinds, with how each describes the spot it was reached
+const SINKS = {
+  code: 'code evaluation',
+  command: 'shell command',
+  html: 'HTML markup',
+  sql: 'SQL query',
+  path: 'file system path',
+  redirect: 'redirect target',
+};
+
+const cache = new WeakMap();
+
+function position(node) {
+  return { line: node.loc.start.line, column: node.loc.start.column + 1 };
+}
+
+function step(kind, description, node) {
+  return { step: kind, description, ...position(node) };
+}
+
+// "a.b.c" for a chain of plain identifiers and properties
+function dottedName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (isMember(node)) {
+    const object = dottedName(node.object);
+    const property = propertyName(node);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+// The source a member chain reads from, e.g. req.query.id
+function sourceLabel(node) {
+  const name = dottedName(node);
+  if (!name) return null;
+  const parts = name.replace(/^(window|document|globalThis)\./, '').split('.');
+  const properties = SOURCES[parts[0]];
+  return parts.length >= 2 && properties && properties.includes(parts[1])
+    ? name
+    : null;
+}
+
+function requiredModule(node) {
+  if (
+    node &&
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'StringLiteral'
+  ) {
+    return MODULES[node.arguments[0].value] || null;
+  }
+  return null;
+}
+
+/**
+ * What a binding refers to when it comes from a watched module:
+ * { module, member } (member is null for the module object itself).
+ */
+function moduleBinding(binding) {
+  if (!binding) return null;
+  const { path } = binding;
+
+  if (path.isImportSpecifier() || path.isImportDefaultSpecifier()) {
+    const module = MODULES[path.parent.source.value];
+    if (!module) return null;
+    const imported = path.isImportSpecifier()
+      ? path.node.imported.name || path.node.imported.value
+      : 'default';
+    return { module, member: imported === 'default' ? null : imported };
+  }
+  if (path.isImportNamespaceSpecifier()) {
+    const module = MODULES[path.parent.source.value];
+    return module ? { module, member: null } : null;
+  }
+  if (!path.isVariableDeclarator()) return null;
+
+  let { init } = path.node;
+  let suffix = null;
+  // require('fs').promises
+  if (init && isMember(init) && requiredModule(init.object)) {
+    suffix = propertyName(init);
+    init = init.object;
+  }
+  const module = requiredModule(init);
+  if (!module) return null;
+  if (path.node.id.type === 'Identifier') {
+    return { module, member: suffix === 'promises' ? null : suffix };
+  }
+  if (path.node.id.type === 'ObjectPattern') {
+    const property = path.node.id.properties.find(
+      (prop) =>
+        prop.type === 'ObjectProperty' &&
+        prop.value.type === 'Identifier' &&
+        prop.value.name === binding.identifier.name,
+    );
+    if (property && !property.computed) {
+      return { module, member: property.key.name || property.key.value };
+    }
+  }
+  return null;
+}
+
+// The watched module function a callee names, e.g. 'child_process.exec'
+function moduleFunction(callee, scope) {
+  if (callee.type === 'Identifier') {
+    const target = moduleBinding(scope.getBinding(callee.name));
+    return target && target.member ? `${target.module}.${target.member}` : null;
+  }
+  if (!isMember(callee)) return null;
+
+  let object = callee.object;
+  // fs.promises.readFile
+  if (isMember(object) && propertyName(object) === 'promises') {
+    object = object.object;
+  }
+  let module = requiredModule(object);
+  if (!module && object.type === 'Identifier') {
+    const target = moduleBinding(scope.getBinding(object.name));
+    module = target && !target.member ? target.module : null;
+  }
+  const name = propertyName(callee);
+  return module && name ? `${module}.${name}` : null;
+}
+
+function calleeName(callee, scope) {
+  if (callee.type === 'Identifier') {
+    return isGlobal({ scope }, callee.name) ? callee.name : null;
+  }
+  return dottedName(callee);
+}
+
+function isFunction(node) {
+  return (
+    node &&
+    (node.type === 'FunctionDeclaration' ||
+      node.type === 'FunctionExpression' ||
+      node.type === 'ArrowFunctionExpression')
+  );
+}
+
+// The function node a call's callee refers to, if it is defined locally
+function localFunction(callee, scope) {
+  if (callee.type !== 'Identifier') return null;
+  const binding = scope.getBinding(callee.name);
+  if (!binding) return null;
+  const { node } = binding.path;
+  if (isFunction(node)) return node;
+  if (binding.path.isVariableDeclarator() && isFunction(node.init)) {
+    return node.init;
+  }
+  return null;
+}
+
+function functionName(fn, callee) {
+  return (fn.id && fn.id.name) || callee.name;
+}
+
+function hasSqlText(node) {
+  if (node.type === 'StringLiteral') return SQL_KEYWORDS.test(node.value);
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.some((quasi) => SQL_KEYWORDS.test(quasi.value.cooked));
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return hasSqlText(node.left) || hasSqlText(node.right);
+  }
+  return false;
+}
+
+/**
+ * Find every flow of untrusted data into a sink in a program.
+ * Returns [{ sink, node, source, target, path }], `sink` being a key of
+ * SINKS and `path` the steps from source to sink.
+ */
+function findTaintFlows(programPath) {
+  if (cache.has(programPath.node)) return cache.get(programPath.node);
+
+  const tainted = new Map(); // binding -> taint
+  const returns = new Map(); // function node -> taint
+  const functionPaths = new Map(); // function node -> path
+  const flows = [];
+  const sinks = [];
+
+  const extend = (taint, next) => ({
+    ...taint,
+    steps: [...taint.steps, next],
+  });
+
+  // The taint carried by an expression, or null: { steps, sql }
+  function taintOf(node, scope) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'Identifier': {
+        const binding = scope.getBinding(node.name);
+        return (binding && tainted.get(binding)) || null;
+      }
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const label = sourceLabel(node);
+        if (label) {
+          return { label, steps: [step('source', label, node)], sql: false };
+        }
+        return taintOf(node.object, scope);
+      }
+      case 'TemplateLiteral': {
+        const inner = node.expressions
+          .map((expr) => taintOf(expr, scope))
+          .find(Boolean);
+        return inner && { ...inner, sql: inner.sql || hasSqlText(node) };
+      }
+      case 'BinaryExpression': {
+        if (node.operator !== '+') return null;
+        const inner = taintOf(node.left, scope) || taintOf(node.right, scope);
+        return inner && { ...inner, sql: inner.sql || hasSqlText(node) };
+      }
+      case 'LogicalExpression':
+        return taintOf(node.left, scope) || taintOf(node.right, scope);
+      case 'ConditionalExpression':
+        return (
+          taintOf(node.consequent, scope) || taintOf(node.alternate, scope)
+        );
+      case 'AssignmentExpression':
+      case 'AwaitExpression':
+      case 'SpreadElement':
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+      case 'ParenthesizedExpression':
+        return taintOf(node.right || node.argument || node.expression, scope);
+      case 'SequenceExpression':
+        return taintOf(node.expressions[node.expressions.length - 1], scope);
+      case 'ArrayExpression':
+        return node.elements.map((el) => taintOf(el, scope)).find(Boolean);
+      case 'ObjectExpression':
+        return node.properties
+          .map((prop) =>
+            taintOf(prop.type === 'SpreadElement' ? prop : prop.value, scope),
+          )
+          .find(Boolean);
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+      case 'NewExpression':
+        return callTaint(node, scope);
+      default:
+        return null;
+    }
+  }
+
+  function callTaint(node, scope) {
+    const { callee } = node;
+    const name = calleeName(callee, scope);
+    const method = isMember(callee) ? propertyName(callee) : null;
+
+    if (
+      (name && SANITIZERS.includes(name)) ||
+      SANITIZER_NAME.test(
+        method || (callee.type === 'Identifier' && callee.name) || '',
+      )
+    ) {
+      return null;
+    }
+
+    const fn = localFunction(callee, scope);
+    if (fn) {
+      const taint = returns.get(fn);
+      return (
+        taint &&
+        extend(
+          taint,
+          step('return', `returned from ${functionName(fn, callee)}()`, node),
+        )
+      );
+    }
+
+    const argumentTaint = () =>
+      node.arguments.map((arg) => taintOf(arg, scope)).find(Boolean) || null;
+
+    if (name && PROPAGATORS.includes(name)) return argumentTaint();
+    // Methods of a tainted value (trim, slice, toString, ...) stay tainted
+    if (method) {
+      return (
+        taintOf(callee.object, scope) ||
+        (method === 'concat' ? argumentTaint() : null)
+      );
+    }
+    return null;
+  }
+
+  // Bindings declared by a pattern (x, { a, b }, [c, ...d])
+  function patternBindings(path) {
+    return Object.keys(path.getBindingIdentifiers())
+      .map((name) => path.scope.getBinding(name))
+      .filter(Boolean);
+  }
+
+  function sinkFor(path) {
+    const { node, scope } = path;
+    const { callee } = node;
+    const name = calleeName(callee, scope);
+    const method = isMember(callee) ? propertyName(callee) : null;
+    const target = moduleFunction(callee, scope);
+    const args = path.get('arguments');
+
+    if (
+      name === 'eval' ||
+      name === 'Function' ||
+      ((name === 'setTimeout' || name === 'setInterval') &&
+        args[0] &&
+        !isFunction(args[0].node))
+    ) {
+      const code = name === 'Function' ? args.slice(-1) : args.slice(0, 1);
+      return { sink: 'code', label: `${name}()`, args: code };
+    }
+    if (target && target.startsWith('child_process.')) {
+      const member = target.split('.')[1];
+      if (CHILD_PROCESS_FUNCTIONS.includes(member)) {
+        return {
+          sink: 'command',
+          label: `${target}()`,
+          args: args.slice(0, 1),
+        };
+      }
+    }
+    if (target && target.startsWith('fs.')) {
+      if (FS_FUNCTIONS.test(target.split('.')[1])) {
+        return { sink: 'path', label: `${target}()`, args: args.slice(0, 2) };
+      }
+    }
+    if (
+      isMember(callee) &&
+      callee.object.type === 'Identifier' &&
+      ['res', 'response'].includes(callee.object.name)
+    ) {
+      if (method === 'redirect') {
+        return { sink: 'redirect', label: `${name}()`, args };
+      }
+      if (method === 'sendFile' || method === 'download') {
+        return { sink: 'path', label: `${name}()`, args: args.slice(0, 1) };
+      }
+    }
+    if (name === 'document.write' || name === 'document.writeln') {
+      return { sink: 'html', label: `${name}()`, args };
+    }
+    if (method === 'insertAdjacentHTML') {
+      return {
+        sink: 'html',
+        label: 'insertAdjacentHTML()',
+        args: args.slice(1, 2),
+      };
+    }
+    if (method && SQL_METHODS.includes(method) && !target) {
+      return {
+        sink: 'sql',
+        label: `${name || method}()`,
+        args: args.slice(0, 1),
+        needsSql: true,
+      };
+    }
+    return null;
+  }
+
+  programPath.traverse({
+    Function(path) {
+      functionPaths.set(path.node, path);
+      if (path.isArrowFunctionExpression() && !path.get('body').isBlock()) {
+        flows.push({ kind: 'return', fn: path.node, path: path.get('body') });
+      }
+    },
+    VariableDeclarator(path) {
+      if (!path.node.init) return;
+      flows.push({
+        kind: 'assign',
+        targets: patternBindings(path.get('id')),
+        name: dottedName(path.node.id),
+        path: path.get('init'),
+        at: path.node,
+      });
+    },
+    'ForOfStatement|ForInStatement'(path) {
+      const left = path.get('left');
+      const target = left.isVariableDeclaration()
+        ? left.get('declarations.0.id')
+        : left;
+      flows.push({
+        kind: 'assign',
+        targets: patternBindings(target),
+        name: dottedName(target.node),
+        path: path.get('right'),
+        at: left.node,
+      });
+    },
+    AssignmentExpression(path) {
+      const left = path.get('left');
+      if (isMember(left.node)) {
+        if (HTML_PROPERTIES.includes(propertyName(left.node))) {
+          sinks.push({
+            sink: 'html',
+            label: propertyName(left.node),
+            node: path.node,
+            args: [path.get('right')],
+          });
+          return;
+        }
+        // obj.prop = tainted taints obj as a whole
+        let root = left.node;
+        while (isMember(root)) root = root.object;
+        if (root.type !== 'Identifier') return;
+        const binding = path.scope.getBinding(root.name);
+        if (!binding) return;
+        flows.push({
+          kind: 'assign',
+          targets: [binding],
+          name: dottedName(left.node) || root.name,
+          path: path.get('right'),
+          at: path.node,
+        });
+        return;
+      }
+      flows.push({
+        kind: 'assign',
+        targets: patternBindings(left),
+        name: dottedName(left.node),
+        path: path.get('right'),
+        at: path.node,
+      });
+    },
+    ReturnStatement(path) {
+      const fn = path.getFunctionParent();
+      if (fn && path.node.argument) {
+        flows.push({ kind: 'return', fn: fn.node, path: path.get('argument') });
+      }
+    },
+    'CallExpression|OptionalCallExpression|NewExpression'(path) {
+      const { node, scope } = path;
+      const fn = localFunction(node.callee, scope);
+      if (fn) {
+        flows.push({ kind: 'call', fn, path });
+      }
+      const sink = sinkFor(path);
+      if (sink) sinks.push({ ...sink, node });
+    },
+  });
+
+  const taint = (binding, value, next) => {
+    if (!binding || tainted.has(binding)) return false;
+    tainted.set(binding, extend(value, next));
+    return true;
+  };
+
+  // Propagate until nothing new is tainted
+  let changed = true;
+  while (changed) {
+    changed = false;
+    flows.forEach((flow) => {
+      if (flow.kind === 'assign') {
+        const value = taintOf(flow.path.node, flow.path.scope);
+        if (!value) return;
+        flow.targets.forEach((binding) => {
+          const name = flow.name || binding.identifier.name;
+          changed =
+            taint(
+              binding,
+              value,
+              step('assignment', `assigned to ${name}`, flow.at),
+            ) || changed;
+        });
+      } else if (flow.kind === 'return') {
+        if (returns.has(flow.fn)) return;
+        const value = taintOf(flow.path.node, flow.path.scope);
+        if (value) {
+          returns.set(flow.fn, value);
+          changed = true;
+        }
+      } else {
+        const fnPath = functionPaths.get(flow.fn);
+        if (!fnPath) return;
+        const { node, scope } = flow.path;
+        node.arguments.forEach((arg, index) => {
+          const param = flow.fn.params[index];
+          const value = taintOf(arg, scope);
+          if (!value || !param) return;
+          const id = param.type === 'AssignmentPattern' ? param.left : param;
+          if (id.type !== 'Identifier') return;
+          changed =
+            taint(
+              fnPath.scope.getBinding(id.name),
+              value,
+              step(
+                'parameter',
+                `passed as ${id.name} to ${functionName(flow.fn, node.callee)}()`,
+                arg,
+              ),
+            ) || changed;
+        });
+      }
+    });
+  }
+
+  const found = [];
+  sinks.forEach((sink) => {
+    const value = sink.args
+      .map((arg) => taintOf(arg.node, arg.scope))
+      .find(Boolean);
+    if (!value || (sink.needsSql && !value.sql)) return;
+    found.push({
+      sink: sink.sink,
+      node: sink.node,
+      source: value.label,
+      target: sink.label,
+      path: [
+        ...value.steps,
+        step('sink', `reaches ${sink.label} (${SINKS[sink.sink]})`, sink.node),
+      ],
+    });
+  });
+
+  cache.set(programPath.node, found);
+  return found;
+}
+
+/**
+ * Build an analyzer rule reporting the flows into one kind of sink, with
+ * the source-to-sink steps as the issue's `taint_path`.
+ */
+function taintRule({ id, sink, description, title, severity = 'high' }) {
+  return {
+    id,
+    description,
+    category: 'security',
+    severity,
+    create(report) {
+      return {
+        Program: {
+          exit(path) {
+            findTaintFlows(path)
+              .filter((flow) => flow.sink === sink)
+              .forEach((flow) =>
+                report(
+                  flow.node,
+                  `${title}: untrusted input from ${flow.source} reaches ${flow.target}`,
+                  null,
+                  { taint_path: flow.path },
+                ),
+              );
+          },
+        },
+      };
+    },
+  };
+}
+
+module.exports = { findTaintFlows, taintRule, SINKS };
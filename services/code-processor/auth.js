@@ -0,0 +1,194 @@
+/**
+ * API Key Authentication
+ * Identifies callers by API key and checks the scope each route requires
+ *
+ * Keys come from API_KEY (one key with every scope) and from a JSON keys
+ * file (API_KEYS_FILE). With no keys configured authentication is off and
+ * every caller has every scope. Keys are sent as `X-API-Key: <key>` or
+ * `Authorization: Bearer <key>` and are only ever held as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SCOPES = [
+  'process',
+  'analyze',
+  'format',
+  'fix',
+  'execute',
+  'mcp',
+  'metrics',
+  'admin',
+];
+const ALL_SCOPES = '*';
+
+class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthConfigError';
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function checkRateLimit(rateLimit, where) {
+  if (rateLimit === undefined) return undefined;
+  const valid =
+    rateLimit &&
+    typeof rateLimit === 'object' &&
+    ['per_minute', 'burst'].every(
+      (field) =>
+        rateLimit[field] === undefined ||
+        (Number.isFinite(rateLimit[field]) && rateLimit[field] >= 0),
+    );
+  if (!valid) {
+    throw new AuthConfigError(
+      `${where}: rate_limit must be { per_minute, burst } with non-negative numbers`,
+    );
+  }
+  return { perMinute: rateLimit.per_minute, burst: rateLimit.burst };
+}
+
+// One keys-file entry -> { name, hash, scopes, rateLimit }
+function parseKeyEntry(entry, index) {
+  const where = `API key #${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new AuthConfigError(`${where} must be an object`);
+  }
+  const { name = `key-${index + 1}`, key, key_sha256: keyHash } = entry;
+
+  if (typeof key === 'string' && key.length > 0) {
+    if (keyHash !== undefined) {
+      throw new AuthConfigError(`${where}: pass key or key_sha256, not both`);
+    }
+  } else if (typeof keyHash !== 'string' || !/^[0-9a-f]{64}$/i.test(keyHash)) {
+    throw new AuthConfigError(
+      `${where}: key (a string) or key_sha256 (a hex SHA-256) is required`,
+    );
+  }
+
+  const scopes = entry.scopes === undefined ? [ALL_SCOPES] : entry.scopes;
+  if (
+    !Array.isArray(scopes) ||
+    scopes.some((scope) => scope !== ALL_SCOPES && !SCOPES.includes(scope))
+  ) {
+    throw new AuthConfigError(
+      `${where}: scopes must list scopes from ${SCOPES.join(', ')} (or "*")`,
+    );
+  }
+
+  return {
+    name: String(name),
+    hash: keyHash ? keyHash.toLowerCase() : hashKey(key),
+    scopes,
+    rateLimit: checkRateLimit(entry.rate_limit, where),
+  };
+}
+
+/**
+ * Load the configured keys. The keys file holds
+ * `{ "keys": [{ "name", "key" | "key_sha256", "scopes", "rate_limit" }] }`;
+ * a missing or malformed file is an AuthConfigError.
+ */
+function loadApiKeys({ apiKey, keysFile } = {}) {
+  const keys = [];
+  if (apiKey) {
+    keys.push({ name: 'default', hash: hashKey(apiKey), scopes: [ALL_SCOPES] });
+  }
+
+  if (keysFile) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    } catch (error) {
+      throw new AuthConfigError(
+        `Cannot read API keys file ${keysFile}: ${error.message}`,
+      );
+    }
+    const entries = Array.isArray(config) ? config : config && config.keys;
+    if (!Array.isArray(entries)) {
+      throw new AuthConfigError(
+        `API keys file ${keysFile} must contain a "keys" array`,
+      );
+    }
+    keys.push(...entries.map(parseKeyEntry));
+  }
+
+  const names = keys.map((key) => key.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new AuthConfigError(`Duplicate API key name: ${duplicate}`);
+  }
+  return keys;
+}
+
+function presentedKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the auth middleware for `keys` (see loadApiKeys).
+ * `authenticate` sets `req.apiKey` (null when auth is off) or answers 401;
+ * `requireScope(scope)` answers 403 for keys without `scope`.
+ */
+function createAuth({ keys = [] } = {}) {
+  const byHash = new Map(keys.map((key) => [key.hash, key]));
+  const enabled = byHash.size > 0;
+
+  function hasScope(req, scope) {
+    if (!enabled) return true;
+    const { scopes } = req.apiKey;
+    return scopes.includes(ALL_SCOPES) || scopes.includes(scope);
+  }
+
+  function authenticate(req, res, next) {
+    req.apiKey = null;
+    if (!enabled) return next();
+
+    const key = presentedKey(req);
+    const record = key && byHash.get(hashKey(key));
+    if (!record) {
+      return res
+        .status(401)
+        .set('WWW-Authenticate', 'Bearer')
+        .json({
+          error: key ? 'Invalid API key' : 'API key required',
+          type: 'AuthenticationError',
+        });
+    }
+    req.apiKey = record;
+    next();
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (hasScope(req, scope)) return next();
+      res.status(403).json(scopeError(scope));
+    };
+  }
+
+  return { enabled, authenticate, requireScope, hasScope };
+}
+
+function scopeError(scope) {
+  return {
+    error: `API key lacks the "${scope}" scope`,
+    type: 'AuthorizationError',
+    required_scope: scope,
+  };
+}
+
+module.exports = {
+  createAuth,
+  loadApiKeys,
+  hashKey,
+  scopeError,
+  AuthConfigError,
+  SCOPES,
+};
@@ -0,0 +1,63 @@
+/**
+ * Health Checks
+ * Named readiness checks for the health endpoints
+ *
+ * A check is `async () => details`. It passes when it returns and fails
+ * when it throws or takes longer than `timeout` ms; the service is ready
+ * only while every check passes.
+ */
+
+function elapsed(started) {
+  return Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+}
+
+/**
+ * Create a checker for `checks` ({ name: check }).
+ * `run()` resolves with { ready, checks: { name: { status, ... } } }, each
+ * entry being `pass` with the check's details or `fail` with its error.
+ */
+function createHealthChecks(checks, { timeout = 2000 } = {}) {
+  async function runCheck(check) {
+    const started = process.hrtime.bigint();
+    let timer;
+    try {
+      const details = await Promise.race([
+        Promise.resolve().then(check),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Check timed out after ${timeout}ms`)),
+            timeout,
+          );
+        }),
+      ]);
+      return { status: 'pass', ...details, duration_ms: elapsed(started) };
+    } catch (error) {
+      return {
+        status: 'fail',
+        error: error.message,
+        duration_ms: elapsed(started),
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function run() {
+    const results = Object.fromEntries(
+      await Promise.all(
+        Object.entries(checks).map(async ([name, check]) => [
+          name,
+          await runCheck(check),
+        ]),
+      ),
+    );
+    return {
+      ready: Object.values(results).every((result) => result.status === 'pass'),
+      checks: results,
+    };
+  }
+
+  return { run };
+}
+
+module.exports = { createHealthChecks };
@@ -0,0 +1,327 @@
+/**
+ * Job Subsystem
+ * Background jobs for long-running operations such as deep analysis
+ *
+ * Endpoints (relative to the mount point):
+ * - POST /             - Submit a job, returns 202 with the job ID
+ * - GET /:id           - Job status, progress and result
+ * - DELETE /:id        - Cancel a queued or running job
+ * - GET /:id/events    - Stream progress and the final status over SSE
+ *
+ * Memory is bounded: at most `maxQueued` jobs wait to start (then submit
+ * throws JobLimitError, answered with 503), and finished jobs are dropped
+ * after `retention` ms or once more than `maxRetained` have finished,
+ * oldest first. A finished job no longer holds its input.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const express = require('express');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class JobLimitError extends Error {
+  constructor(maxQueued) {
+    super(`Job queue is full (${maxQueued} waiting)`);
+    this.name = 'JobLimitError';
+    this.maxQueued = maxQueued;
+  }
+}
+
+function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
+
+/**
+ * Create a job manager. `runners` maps a job type to
+ * `async (input, { reportProgress, signal }) => result`.
+ */
+function createJobManager({
+  runners,
+  maxConcurrent = 2,
+  maxQueued = 100,
+  maxRetained = 500,
+  timeout = 120000,
+  retention = 10 * 60 * 1000,
+}) {
+  const jobs = new Map();
+  const queue = [];
+  // IDs of finished jobs still kept, oldest first
+  const retained = new Set();
+  const events = new EventEmitter();
+  let running = 0;
+
+  events.setMaxListeners(0);
+
+  function emit(job, event) {
+    events.emit(job.id, event, serializeJob(job));
+  }
+
+  function finish(job, status, fields = {}) {
+    if (isFinished(job)) return;
+    Object.assign(job, fields, {
+      status,
+      finished_at: new Date().toISOString(),
+    });
+    clearTimeout(job.timer);
+    job.input = null;
+    emit(job, status);
+
+    job.expiry = setTimeout(() => forget(job), retention);
+    job.expiry.unref();
+    retained.add(job.id);
+    if (retained.size > maxRetained) {
+      forget(jobs.get(retained.values().next().value));
+    }
+  }
+
+  function forget(job) {
+    clearTimeout(job.expiry);
+    retained.delete(job.id);
+    jobs.delete(job.id);
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    emit(job, 'status');
+
+    job.timer = setTimeout(() => {
+      job.controller.abort();
+      finish(job, 'failed', { error: `Job timed out after ${timeout}ms` });
+    }, timeout);
+
+    try {
+      const result = await runners[job.type](job.input, {
+        signal: job.controller.signal,
+        reportProgress(progress) {
+          if (isFinished(job)) return;
+          job.progress = progress;
+          emit(job, 'progress');
+        },
+      });
+      finish(job, 'completed', {
+        result,
+        progress: { percent: 100, stage: 'done' },
+      });
+    } catch (error) {
+      finish(job, 'failed', { error: error.message });
+    } finally {
+      running--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < maxConcurrent && queue.length > 0) {
+      const job = queue.shift();
+      if (job.status === 'queued') start(job);
+    }
+  }
+
+  return {
+    types() {
+      return Object.keys(runners);
+    },
+
+    submit(type, input) {
+      if (!runners[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+      if (running >= maxConcurrent && queue.length >= maxQueued) {
+        throw new JobLimitError(maxQueued);
+      }
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        progress: { percent: 0, stage: 'queued' },
+        result: null,
+        error: null,
+        created_at: new Date().toISOString(),
+        started_at: null,
+        finished_at: null,
+        input,
+        controller: new AbortController(),
+      };
+      jobs.set(job.id, job);
+      queue.push(job);
+      pump();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    stats() {
+      return {
+        running,
+        queued: queue.length,
+        max_concurrent: maxConcurrent,
+        max_queued: maxQueued,
+        retained: retained.size,
+      };
+    },
+
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || isFinished(job)) return job || null;
+      const queued = queue.indexOf(job);
+      if (queued !== -1) queue.splice(queued, 1);
+      job.controller.abort();
+      finish(job, 'cancelled');
+      return job;
+    },
+
+    /**
+     * Listen for `listener(event, job)` updates until the job finishes.
+     * Returns an unsubscribe function.
+     */
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    /**
+     * Resolve with the job once it has finished, or after `timeout` ms
+     * with the job as it stands.
+     */
+    wait(job, timeout) {
+      if (isFinished(job)) return Promise.resolve(job);
+      return new Promise((resolve) => {
+        let timer;
+        const unsubscribe = this.subscribe(job.id, (event) => {
+          if (FINISHED.includes(event)) {
+            clearTimeout(timer);
+            unsubscribe();
+            resolve(job);
+          }
+        });
+        if (timeout !== undefined) {
+          timer = setTimeout(() => {
+            unsubscribe();
+            resolve(job);
+          }, timeout);
+        }
+      });
+    },
+  };
+}
+
+function jobLimit(error) {
+  return { error: error.message, type: error.name };
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Create the Express router exposing `manager` over HTTP.
+ */
+function createJobsRouter(manager) {
+  const router = express.Router();
+
+  function findJob(req, res) {
+    const job = manager.get(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: 'Job not found', job_id: req.params.id });
+    }
+    return job;
+  }
+
+  router.post('/', (req, res) => {
+    const { type = 'analyze', ...input } = req.body;
+
+    if (!input.code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    if (!manager.types().includes(type)) {
+      return res.status(400).json({
+        error: `Unknown job type: ${type}`,
+        supported_types: manager.types(),
+      });
+    }
+
+    let job;
+    try {
+      job = manager.submit(type, input);
+    } catch (error) {
+      if (!(error instanceof JobLimitError)) throw error;
+      return res.status(503).set('Retry-After', '1').json(jobLimit(error));
+    }
+    res
+      .status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json(serializeJob(job));
+  });
+
+  router.get('/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json(serializeJob(job));
+  });
+
+  router.delete('/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    if (isFinished(job)) {
+      return res.status(409).json({
+        error: `Job already ${job.status}`,
+        job: serializeJob(job),
+      });
+    }
+    res.json(serializeJob(manager.cancel(job.id)));
+  });
+
+  router.get('/:id/events', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+
+    if (isFinished(job)) {
+      writeEvent(res, job.status, serializeJob(job));
+      return res.end();
+    }
+
+    writeEvent(res, 'status', serializeJob(job));
+    const unsubscribe = manager.subscribe(job.id, (event, snapshot) => {
+      writeEvent(res, event, snapshot);
+      if (FINISHED.includes(event)) {
+        unsubscribe();
+        res.end();
+      }
+    });
+    req.on('close', unsubscribe);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createJobManager,
+  createJobsRouter,
+  serializeJob,
+  jobLimit,
+  JobLimitError,
+};
@@ -0,0 +1,246 @@
+/**
+ * MCP Streamable HTTP Transport
+ * Mounts the MCP tool catalog on the code processor service
+ *
+ * Endpoints (relative to the mount point):
+ * - POST /   - Send JSON-RPC messages; requests are answered over SSE (or
+ *              JSON when the client does not accept text/event-stream)
+ * - GET /    - Open an SSE stream for server-to-client messages
+ * - DELETE / - End the session
+ *
+ * `initialize` creates a session whose ID is returned in the Mcp-Session-Id
+ * header; every later request must send it back, with the API key that
+ * created the session. At most `maxSessions` sessions are open at once.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const {
+  createMcpHandler,
+  decodeMessage,
+  ERROR_CODES,
+  SUPPORTED_PROTOCOL_VERSIONS,
+} = require('../../lib/mcp/protocol');
+
+const SESSION_HEADER = 'mcp-session-id';
+const VERSION_HEADER = 'mcp-protocol-version';
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const KEEPALIVE_INTERVAL = 15 * 1000;
+const DEFAULT_ALLOWED_ORIGINS = [
+  /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/,
+];
+
+// The API key a request was made with (null when auth is off)
+function keyName(req) {
+  return req.apiKey ? req.apiKey.name : null;
+}
+
+function rpcError(res, status, code, message) {
+  res
+    .status(status)
+    .json({ jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+function accepts(req, type) {
+  return (req.get('accept') || '').includes(type);
+}
+
+function isInitialize(message) {
+  const messages = Array.isArray(message) ? message : [message];
+  return messages.some((m) => m && m.method === 'initialize');
+}
+
+function hasRequests(message) {
+  const messages = Array.isArray(message) ? message : [message];
+  return messages.some((m) => m && m.method && m.id !== undefined);
+}
+
+function writeEvent(res, payload) {
+  res.write(`event: message\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function originAllowed(origin, allowedOrigins) {
+  if (!origin) return true;
+  return allowedOrigins.some((allowed) =>
+    allowed instanceof RegExp ? allowed.test(origin) : allowed === origin,
+  );
+}
+
+/**
+ * Create an Express router speaking MCP Streamable HTTP for `tools`.
+ * Browser origins in `allowedOrigins` are accepted besides localhost.
+ * `authorize(tool, args, { req })` may refuse a tools/call (see
+ * createMcpHandler).
+ */
+function createMcpRouter({
+  serverInfo,
+  tools,
+  authorize,
+  allowedOrigins = [],
+  bodyLimit = '10mb',
+  maxSessions = 1000,
+}) {
+  const router = express.Router();
+  const { handleMessage } = createMcpHandler({ serverInfo, tools, authorize });
+  const sessions = new Map();
+  const origins = [...DEFAULT_ALLOWED_ORIGINS, ...allowedOrigins];
+
+  // Drop sessions that have been idle too long
+  function sweep() {
+    const cutoff = Date.now() - SESSION_IDLE_TIMEOUT;
+    sessions.forEach((session, id) => {
+      if (session.lastSeen < cutoff && !session.stream) sessions.delete(id);
+    });
+  }
+  const sweeper = setInterval(sweep, SESSION_IDLE_TIMEOUT);
+  sweeper.unref();
+
+  router.use(express.text({ type: () => true, limit: bodyLimit }));
+
+  // Reject browser requests from foreign origins (DNS rebinding protection)
+  router.use((req, res, next) => {
+    if (!originAllowed(req.get('origin'), origins)) {
+      return rpcError(
+        res,
+        403,
+        ERROR_CODES.INVALID_REQUEST,
+        'Forbidden origin',
+      );
+    }
+    const version = req.get(VERSION_HEADER);
+    if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+      return rpcError(
+        res,
+        400,
+        ERROR_CODES.INVALID_REQUEST,
+        `Unsupported protocol version: ${version}`,
+      );
+    }
+    next();
+  });
+
+  function findSession(req, res) {
+    const id = req.get(SESSION_HEADER);
+    if (!id) {
+      rpcError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Missing session ID');
+      return null;
+    }
+    const session = sessions.get(id);
+    // Another key's session is reported as missing, not as forbidden
+    if (!session || session.key !== keyName(req)) {
+      rpcError(res, 404, ERROR_CODES.INVALID_REQUEST, 'Session not found');
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  router.post('/', async (req, res) => {
+    const { message, error } = decodeMessage(req.body);
+    if (error) return res.status(400).json(error);
+
+    let session;
+    if (isInitialize(message)) {
+      if (Array.isArray(message)) {
+        return rpcError(
+          res,
+          400,
+          ERROR_CODES.INVALID_REQUEST,
+          'initialize must not be batched',
+        );
+      }
+      if (sessions.size >= maxSessions) sweep();
+      if (sessions.size >= maxSessions) {
+        res.set('Retry-After', '60');
+        return rpcError(
+          res,
+          503,
+          ERROR_CODES.INVALID_REQUEST,
+          `Too many open sessions (${maxSessions})`,
+        );
+      }
+      session = {
+        id: crypto.randomUUID(),
+        key: keyName(req),
+        lastSeen: Date.now(),
+        stream: null,
+      };
+      sessions.set(session.id, session);
+    } else {
+      session = findSession(req, res);
+      if (!session) return;
+    }
+
+    // Notifications and responses only: acknowledge without a body
+    if (!hasRequests(message)) {
+      await handleMessage(message, { req });
+      return res.status(202).end();
+    }
+
+    const response = await handleMessage(message, { req });
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    if (accepts(req, 'text/event-stream')) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      (Array.isArray(response) ? response : [response]).forEach((payload) =>
+        writeEvent(res, payload),
+      );
+      return res.end();
+    }
+
+    res.json(response);
+  });
+
+  router.get('/', (req, res) => {
+    if (!accepts(req, 'text/event-stream')) {
+      return res.status(406).json({
+        error: 'GET requires Accept: text/event-stream',
+      });
+    }
+    const session = findSession(req, res);
+    if (!session) return;
+    if (session.stream) {
+      return rpcError(
+        res,
+        409,
+        ERROR_CODES.INVALID_REQUEST,
+        'An SSE stream is already open for this session',
+      );
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Mcp-Session-Id': session.id,
+    });
+    res.write(': stream open\n\n');
+
+    const keepalive = setInterval(
+      () => res.write(': keepalive\n\n'),
+      KEEPALIVE_INTERVAL,
+    );
+    session.stream = res;
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      if (session.stream === res) session.stream = null;
+    });
+  });
+
+  router.delete('/', (req, res) => {
+    const session = findSession(req, res);
+    if (!session) return;
+    if (session.stream) session.stream.end();
+    sessions.delete(session.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createMcpRouter };
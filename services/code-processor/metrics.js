@@ -0,0 +1,324 @@
+/**
+ * Service Metrics
+ * Request, operation, cache and runtime metrics in the Prometheus text format
+ *
+ * A small registry rather than a client library: metrics are declared up
+ * front with fixed label names, a series appears on first use, and a
+ * metric may instead `collect` its series when scraped (for values owned
+ * elsewhere, such as cache statistics).
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Milliseconds between event loop delay samples
+const LOOP_RESOLUTION = 10;
+
+// Seconds
+const DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60,
+];
+// Bytes, 256 B to 4 MiB
+const SIZE_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Create a registry. `counter`, `gauge` and `histogram` declare a metric;
+ * pass `collect: () => number | [{ labels, value }]` to read its value at
+ * scrape time instead of updating it. `render()` returns the exposition.
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function declare(type, name, help, { labelNames = [], collect } = {}) {
+    const metric = { type, name, help, labelNames, collect, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // The series for `labels`, created by `init` on first use
+  function seriesFor(metric, labels, init) {
+    const values = metric.labelNames.map((name) =>
+      labels[name] === undefined ? '' : String(labels[name]),
+    );
+    const id = values.join('\u0000');
+    if (!metric.series.has(id)) {
+      const named = {};
+      metric.labelNames.forEach((name, i) => {
+        named[name] = values[i];
+      });
+      metric.series.set(id, { labels: named, ...init() });
+    }
+    return metric.series.get(id);
+  }
+
+  function counter(name, help, options) {
+    const metric = declare('counter', name, help, options);
+    return {
+      inc(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  function gauge(name, help, options) {
+    const metric = declare('gauge', name, help, options);
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      inc(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+      dec(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value -= amount;
+      },
+    };
+  }
+
+  function histogram(name, help, { buckets, ...options }) {
+    const metric = declare('histogram', name, help, options);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function seriesOf(metric) {
+    if (!metric.collect) return [...metric.series.values()];
+    const collected = metric.collect();
+    return typeof collected === 'number'
+      ? [{ labels: {}, value: collected }]
+      : collected;
+  }
+
+  function render() {
+    const lines = [];
+    metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      seriesOf(metric).forEach(({ labels, ...series }) => {
+        if (metric.type !== 'histogram') {
+          lines.push(
+            `${metric.name}${formatLabels(labels)} ${formatValue(series.value)}`,
+          );
+          return;
+        }
+        [...metric.buckets, Infinity].forEach((bound, i) => {
+          const count = bound === Infinity ? series.count : series.counts[i];
+          lines.push(
+            `${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${count}`,
+          );
+        });
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${series.sum}`);
+        lines.push(
+          `${metric.name}_count${formatLabels(labels)} ${series.count}`,
+        );
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// The route a request matched (e.g. /jobs/:id), so paths with IDs share a
+// series; requests answered before routing (401, 404, 429) are `unmatched`
+function routeOf(req) {
+  if (!req.route) return 'unmatched';
+  return `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/';
+}
+
+/**
+ * Create the code processor's metrics. `cacheStats`, `jobStats` and
+ * `poolStats` return the result cache's, job manager's and worker pool's
+ * `stats()`; `info` labels the `wizelit_build_info` series.
+ * Returns { middleware, observeOperation, render, contentType }.
+ */
+function createServiceMetrics({ cacheStats, jobStats, poolStats, info = {} }) {
+  const registry = createRegistry();
+
+  // Samples every LOOP_RESOLUTION ms; a sample's lag is the time past that
+  const loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION });
+  loopDelay.enable();
+
+  registry.gauge('wizelit_build_info', 'Service and engine versions', {
+    labelNames: Object.keys(info),
+    collect: () => [{ labels: info, value: 1 }],
+  });
+
+  const requests = registry.counter(
+    'wizelit_http_requests_total',
+    'HTTP requests by method, route and status',
+    { labelNames: ['method', 'route', 'status'] },
+  );
+  const requestDuration = registry.histogram(
+    'wizelit_http_request_duration_seconds',
+    'HTTP request latency by method and route',
+    { labelNames: ['method', 'route'], buckets: DURATION_BUCKETS },
+  );
+  const inFlight = registry.gauge(
+    'wizelit_http_requests_in_flight',
+    'HTTP requests being handled',
+  );
+  inFlight.set({}, 0);
+
+  const operations = registry.counter(
+    'wizelit_operations_total',
+    'Engine operations by operation and outcome',
+    { labelNames: ['operation', 'outcome'] },
+  );
+  const operationDuration = registry.histogram(
+    'wizelit_operation_duration_seconds',
+    'Engine operation latency by operation',
+    { labelNames: ['operation'], buckets: DURATION_BUCKETS },
+  );
+  const operationInput = registry.histogram(
+    'wizelit_operation_input_bytes',
+    'Size of the code each engine operation was given',
+    { labelNames: ['operation'], buckets: SIZE_BUCKETS },
+  );
+
+  registry.gauge('wizelit_pool_workers', 'Worker threads by state', {
+    labelNames: ['state'],
+    collect: () => {
+      const { busy, idle } = poolStats();
+      return [
+        { labels: { state: 'busy' }, value: busy },
+        { labels: { state: 'idle' }, value: idle },
+      ];
+    },
+  });
+  registry.gauge('wizelit_pool_queued', 'Tasks waiting for a worker thread', {
+    collect: () => poolStats().queued,
+  });
+  registry.gauge('wizelit_jobs_running', 'Background jobs running', {
+    collect: () => jobStats().running,
+  });
+  registry.gauge('wizelit_jobs_queued', 'Background jobs waiting to run', {
+    collect: () => jobStats().queued,
+  });
+
+  registry.counter('wizelit_cache_hits_total', 'Result cache hits', {
+    collect: () => cacheStats().hits,
+  });
+  registry.counter('wizelit_cache_misses_total', 'Result cache misses', {
+    collect: () => cacheStats().misses,
+  });
+  registry.gauge(
+    'wizelit_cache_hit_ratio',
+    'Share of result cache lookups that hit',
+    { collect: () => cacheStats().hit_rate },
+  );
+  registry.gauge('wizelit_cache_entries', 'Entries in the result cache', {
+    collect: () => cacheStats().entries,
+  });
+  registry.gauge('wizelit_cache_bytes', 'Size of the in-memory result cache', {
+    collect: () => cacheStats().bytes,
+  });
+
+  registry.gauge(
+    'wizelit_event_loop_lag_seconds',
+    'Event loop delay since the previous scrape',
+    {
+      labelNames: ['quantile'],
+      collect: () =>
+        [0.5, 0.9, 0.99, 1].map((quantile) => ({
+          labels: { quantile },
+          value:
+            loopDelay.count > 0
+              ? Math.max(
+                  0,
+                  loopDelay.percentile(quantile * 100) / 1e9 -
+                    LOOP_RESOLUTION / 1000,
+                )
+              : 0,
+        })),
+    },
+  );
+  registry.gauge(
+    'process_resident_memory_bytes',
+    'Resident memory size in bytes',
+    { collect: () => process.memoryUsage().rss },
+  );
+  registry.gauge(
+    'process_uptime_seconds',
+    'Seconds since the process started',
+    {
+      collect: () => process.uptime(),
+    },
+  );
+
+  function middleware(req, res, next) {
+    const started = process.hrtime.bigint();
+    inFlight.inc();
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      inFlight.dec();
+
+      const route = routeOf(req);
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      requestDuration.observe(
+        { method: req.method, route },
+        Number(process.hrtime.bigint() - started) / 1e9,
+      );
+    };
+    // `close` also covers clients that hang up before the response ends
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  }
+
+  /**
+   * Record a timed() report for an operation given `inputBytes` of code.
+   */
+  function observeOperation({ operation, duration_ms, outcome }, inputBytes) {
+    operations.inc({ operation, outcome });
+    operationDuration.observe({ operation }, duration_ms / 1000);
+    operationInput.observe({ operation }, inputBytes);
+  }
+
+  function render() {
+    const text = registry.render();
+    loopDelay.reset();
+    return text;
+  }
+
+  return { middleware, observeOperation, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createServiceMetrics, createRegistry, CONTENT_TYPE };
@@ -0,0 +1,245 @@
+/**
+ * Worker Pool
+ * Runs CPU-heavy engine operations on a fixed set of worker threads
+ *
+ * Tasks wait in a bounded queue for a free worker; a full queue rejects
+ * new work at once (PoolBusyError) rather than letting latency grow. A
+ * task still unfinished `timeout` ms after it was submitted fails with
+ * PoolTimeoutError, and the worker running it is terminated and replaced,
+ * so runaway analysis cannot hold a thread. Aborting a task's `signal`
+ * stops it the same way. `drain()` stops intake and resolves once queued
+ * and running tasks have finished.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { RuleConfigError } = require('../../../lib/rules');
+const { ValidationOptionError } = require('../../../lib/validator');
+const { SandboxOptionError } = require('../../../lib/sandbox');
+const { DiffInputError } = require('../../../lib/diff-analysis');
+const { DuplicationOptionError } = require('../../../lib/duplicates');
+const { ProcessOptionError } = require('../../../lib/engine');
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+// Engine errors rebuilt with their class, so callers can tell them apart
+const ERROR_TYPES = {
+  RuleConfigError,
+  ValidationOptionError,
+  SandboxOptionError,
+  DiffInputError,
+  DuplicationOptionError,
+  ProcessOptionError,
+};
+
+class PoolBusyError extends Error {
+  constructor(maxQueue) {
+    super(`Server is busy: all workers are in use and ${maxQueue} tasks wait`);
+    this.name = 'PoolBusyError';
+  }
+}
+
+class PoolTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Processing took longer than ${timeout}ms and was stopped`);
+    this.name = 'PoolTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+class PoolAbortError extends Error {
+  constructor() {
+    super('Task cancelled');
+    this.name = 'AbortError';
+  }
+}
+
+class PoolClosedError extends Error {
+  constructor() {
+    super('Server is shutting down');
+    this.name = 'PoolClosedError';
+  }
+}
+
+function restoreError({ name, message, stack, ...fields }) {
+  const error = new Error(message);
+  if (ERROR_TYPES[name]) {
+    Object.setPrototypeOf(error, ERROR_TYPES[name].prototype);
+  }
+  return Object.assign(error, fields, { name, stack });
+}
+
+/**
+ * Create a pool of `size` workers with room for `maxQueue` waiting tasks.
+ */
+function createWorkerPool({ size = 1, maxQueue = 100, timeout = 30000 } = {}) {
+  const slots = []; // { worker, task, ready }
+  const queue = [];
+  let closing = false;
+  let onDrained = null;
+
+  function stop(slot) {
+    // Late errors from a discarded worker have nowhere to go
+    slot.worker.removeAllListeners();
+    slot.worker.on('error', () => {});
+    slot.worker.terminate();
+  }
+
+  function settle(task, error, result) {
+    clearTimeout(task.timer);
+    task.release();
+    if (error) task.reject(error);
+    else task.resolve(result);
+  }
+
+  // Drop a dead or runaway worker, and start a fresh one in its place
+  // if `respawn`
+  function retire(slot, respawn) {
+    const index = slots.indexOf(slot);
+    if (index === -1) return;
+    slots.splice(index, 1);
+    stop(slot);
+    if (respawn) spawn();
+  }
+
+  function spawn() {
+    const slot = { worker: new Worker(WORKER_PATH), task: null, ready: false };
+
+    slot.worker.on('message', ({ ready, progress, result, error, timings }) => {
+      if (ready) {
+        slot.ready = true;
+        return;
+      }
+      const { task } = slot;
+      if (!task) return;
+      if (progress) {
+        task.onProgress(progress);
+        return;
+      }
+      slot.task = null;
+      timings.forEach((timing) => task.onTiming(timing));
+      settle(task, error && restoreError(error), result);
+      pump();
+    });
+    const crashed = (error) => {
+      const { task } = slot;
+      slot.task = null;
+      if (task) settle(task, error);
+      // A worker that failed to load would fail again
+      retire(slot, slot.ready);
+      pump();
+    };
+    slot.worker.on('error', crashed);
+    slot.worker.on('exit', (code) =>
+      crashed(new Error(`Worker exited with code ${code}`)),
+    );
+
+    slots.push(slot);
+  }
+
+  function pump() {
+    slots.forEach((slot) => {
+      if (slot.task || queue.length === 0) return;
+      slot.task = queue.shift();
+      slot.worker.postMessage({ task: slot.task.name, args: slot.task.args });
+    });
+
+    if (onDrained && queue.length === 0 && slots.every((s) => !s.task)) {
+      slots.splice(0).forEach(stop);
+      onDrained();
+      onDrained = null;
+    }
+  }
+
+  // Stop a queued or running task and fail it with `error`
+  function expire(task, error) {
+    const queued = queue.indexOf(task);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    } else {
+      const slot = slots.find((candidate) => candidate.task === task);
+      if (slot) {
+        slot.task = null;
+        retire(slot, true);
+      }
+    }
+    settle(task, error);
+    pump();
+  }
+
+  for (let i = 0; i < size; i++) spawn();
+
+  return {
+    /**
+     * Run task `name` (see worker.js) with `args`. `onTiming` receives the
+     * timing of each engine operation the task ran and `onProgress` the
+     * task's progress reports. `timeout` overrides the pool's, and
+     * aborting `signal` stops the task (PoolAbortError).
+     */
+    run(
+      name,
+      args,
+      {
+        onTiming = () => {},
+        onProgress = () => {},
+        signal,
+        timeout: limit = timeout,
+      } = {},
+    ) {
+      if (closing) return Promise.reject(new PoolClosedError());
+      if (signal && signal.aborted) {
+        return Promise.reject(new PoolAbortError());
+      }
+      const idle = slots.some((slot) => !slot.task);
+      if (!idle && queue.length >= maxQueue) {
+        return Promise.reject(new PoolBusyError(maxQueue));
+      }
+
+      return new Promise((resolve, reject) => {
+        const task = { name, args, onTiming, onProgress, resolve, reject };
+        const abort = () => expire(task, new PoolAbortError());
+        task.timer = setTimeout(
+          () => expire(task, new PoolTimeoutError(limit)),
+          limit,
+        );
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        task.release = () => {
+          if (signal) signal.removeEventListener('abort', abort);
+        };
+        queue.push(task);
+        pump();
+      });
+    },
+
+    stats() {
+      const busy = slots.filter((slot) => slot.task).length;
+      return {
+        size: slots.length,
+        busy,
+        idle: slots.length - busy,
+        queued: queue.length,
+        max_queue: maxQueue,
+        closing,
+      };
+    },
+
+    /**
+     * Refuse new tasks, finish the accepted ones, then stop the workers.
+     */
+    drain() {
+      closing = true;
+      return new Promise((resolve) => {
+        onDrained = resolve;
+        pump();
+      });
+    },
+  };
+}
+
+module.exports = {
+  createWorkerPool,
+  PoolBusyError,
+  PoolTimeoutError,
+  PoolClosedError,
+  PoolAbortError,
+};
@@ -0,0 +1,76 @@
+/**
+ * Engine Worker
+ * Runs engine operations for the worker pool, one task at a time
+ *
+ * Once loaded it reports `{ ready: true }`. Each message names a task and
+ * its arguments; the reply carries the result or a serialized error, plus
+ * the `onTiming` reports of the operations the task ran. Tasks that report
+ * progress send `{ progress }` messages before the reply.
+ */
+
+const { parentPort } = require('worker_threads');
+const {
+  validateCode,
+  analyzeCode,
+  analyzeCodeDeep,
+  analyzeDiff,
+  analyzeProjectFiles,
+  detectDuplicates,
+  documentCode,
+  formatCode,
+  fixCode,
+  executeCode,
+  processCode,
+} = require('../../../lib/engine');
+
+const TASKS = {
+  validate: ([code, options]) => validateCode(code, options),
+  analyze: ([code, language, options]) => analyzeCode(code, language, options),
+  'analyze-deep': ([code, language, options], onTiming, onProgress) =>
+    analyzeCodeDeep(code, language, { ...options, onProgress }),
+  'analyze-project': ([files, options]) => analyzeProjectFiles(files, options),
+  'analyze-diff': ([change, options]) => analyzeDiff(change, options),
+  format: ([code, language, options]) => formatCode(code, language, options),
+  fix: ([code, language, rules]) => fixCode(code, language, rules),
+  document: ([code, language]) => documentCode(code, language),
+  duplicates: ([input, options]) => detectDuplicates(input, options),
+  execute: ([code, options]) => executeCode(code, options),
+  process: ([code, options], onTiming) =>
+    processCode(code, { ...options, onTiming }),
+};
+
+// Errors cross the thread boundary as plain objects; fields that do not
+// survive JSON (causes, functions) are dropped
+function serializeError(error) {
+  const fields = {};
+  Object.keys(error).forEach((key) => {
+    try {
+      fields[key] = JSON.parse(JSON.stringify(error[key]));
+    } catch (unserializable) {
+      // Skip it
+    }
+  });
+  return {
+    ...fields,
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+  };
+}
+
+parentPort.on('message', async ({ task, args }) => {
+  const timings = [];
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown worker task: ${task}`);
+    const result = await TASKS[task](
+      args,
+      (timing) => timings.push(timing),
+      (progress) => parentPort.postMessage({ progress }),
+    );
+    parentPort.postMessage({ result, timings });
+  } catch (error) {
+    parentPort.postMessage({ error: serializeError(error), timings });
+  }
+});
+
+parentPort.postMessage({ ready: true });
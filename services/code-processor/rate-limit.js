@@ -0,0 +1,94 @@
+/**
+ * Rate Limiting
+ * Token-bucket rate limits per API key (per client IP when auth is off)
+ *
+ * Each client's bucket holds up to `burst` tokens and refills at
+ * `perMinute` tokens a minute; a request takes one token. An empty bucket
+ * answers 429 with Retry-After. A `perMinute` of 0 means unlimited.
+ */
+
+/**
+ * Create a limiter with default limits; keys may carry their own
+ * `rateLimit: { perMinute, burst }`.
+ */
+function createRateLimiter({
+  perMinute = 120,
+  burst = perMinute,
+  maxClients = 10000,
+} = {}) {
+  const buckets = new Map(); // client -> { tokens, updated }
+
+  function limitsFor(apiKey) {
+    const own = (apiKey && apiKey.rateLimit) || {};
+    const rate = own.perMinute !== undefined ? own.perMinute : perMinute;
+    // A key's own rate also sets its default burst
+    let size = burst;
+    if (own.burst !== undefined) size = own.burst;
+    else if (own.perMinute !== undefined) size = own.perMinute;
+    return { perMinute: rate, burst: Math.max(1, size) };
+  }
+
+  // Full buckets carry no state worth keeping
+  function sweep(now) {
+    for (const [client, bucket] of buckets) {
+      if (now - bucket.updated > bucket.fullAfter) buckets.delete(client);
+    }
+  }
+
+  /**
+   * Take a token for `client`.
+   * Returns { allowed, limit, remaining, retryAfter } (retryAfter in seconds).
+   */
+  function take(client, limits, now = Date.now()) {
+    const perMs = limits.perMinute / 60000;
+    const bucket = buckets.get(client) || {
+      tokens: limits.burst,
+      updated: now,
+    };
+    bucket.tokens = Math.min(
+      limits.burst,
+      bucket.tokens + (now - bucket.updated) * perMs,
+    );
+    bucket.updated = now;
+    bucket.fullAfter = (limits.burst - bucket.tokens + 1) / perMs;
+
+    let allowed = false;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      allowed = true;
+    }
+
+    if (!buckets.has(client) && buckets.size >= maxClients) sweep(now);
+    buckets.set(client, bucket);
+
+    return {
+      allowed,
+      limit: limits.burst,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / perMs / 1000),
+    };
+  }
+
+  function middleware(req, res, next) {
+    const limits = limitsFor(req.apiKey);
+    if (limits.perMinute === 0) return next();
+
+    const client = req.apiKey ? `key:${req.apiKey.name}` : `ip:${req.ip}`;
+    const { allowed, limit, remaining, retryAfter } = take(client, limits);
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(remaining),
+    });
+    if (allowed) return next();
+
+    res.status(429).set('Retry-After', String(retryAfter)).json({
+      error: 'Rate limit exceeded',
+      type: 'RateLimitError',
+      retry_after: retryAfter,
+    });
+  }
+
+  return { middleware, take };
+}
+
+module.exports = { createRateLimiter };
@@ -5,62 +5,359 @@
  * Endpoints:
  * - POST /process - Process code with various operations
  * - POST /analyze - Deep code analysis
+ * - POST /analyze/diff - Issues a change introduces, fixes or keeps
+ * - POST /jobs - Submit a background job (GET/DELETE /jobs/:id, SSE /jobs/:id/events)
  * - POST /format - Format code with options
- * - GET /health - Health check
+ * - POST /fix - Apply safe autofixes and return a patch
+ * - POST /document - API reference (JSON or Markdown) from exports and JSDoc
+ * - POST /execute - Run a snippet in the sandbox
+ * - GET/DELETE /cache - Result cache statistics / purge
+ * - GET /admin/config - Effective configuration (secrets redacted)
+ * - GET /metrics - Prometheus metrics
+ * - GET /health - Health with the readiness checks
+ * - GET /health/live, /health/ready - Liveness and readiness probes
+ * - POST/GET/DELETE /mcp - MCP Streamable HTTP transport
+ *
+ * Settings come from lib/config.js. Every route but the /health ones takes
+ * an API key once keys are configured (see auth.js), is rate limited per
+ * key, and rejects code over MAX_CODE_SIZE with 413. Requests and engine
+ * operations are counted and timed for /metrics.
+ *
+ * Validation, analysis, formatting, fixes, execution, deep-analysis jobs
+ * and /mcp tool calls run on a worker thread pool (pool/), so a large
+ * input never stalls the event loop. A full queue answers 503, and work
+ * still running after REQUEST_TIMEOUT is stopped and answered with 504.
+ * SIGTERM stops intake and lets accepted work finish.
+ *
+ * Logs are JSON lines (lib/logger.js). Each request has an X-Request-Id,
+ * taken from the request or generated, which is echoed in the response,
+ * in every log entry for it and in error bodies.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
+const {
+  ENGINE_VERSION,
+  ProcessOptionError,
+  analyzeCode,
+  checkOperations,
+  formatCode,
+  generateSuggestions,
+} = require('../../lib/engine');
+const {
+  loadRuleConfig,
+  resolveRules,
+  RuleConfigError,
+} = require('../../lib/rules');
+const { resolveParser, supportedLanguages } = require('../../lib/formatter');
+const { ValidationOptionError } = require('../../lib/validator');
+const { SandboxOptionError } = require('../../lib/sandbox');
+const { DiffInputError } = require('../../lib/diff-analysis');
+const { DuplicationOptionError } = require('../../lib/duplicates');
+const { DOCUMENT_FORMATS } = require('../../lib/documentation');
+const { createResultCache } = require('../../lib/cache');
+const { loadToolCatalog } = require('../mcp-server/catalog');
+const { RpcError, ERROR_CODES } = require('../../lib/mcp/protocol');
+const { renderReport, OUTPUT_FORMATS } = require('../../lib/reporters');
+const { createMcpRouter } = require('./mcp');
+const {
+  createJobManager,
+  createJobsRouter,
+  serializeJob,
+  jobLimit,
+  JobLimitError,
+} = require('./jobs');
+const { loadConfig, describeConfig, ConfigError } = require('../../lib/config');
+const { createLogger, inputBytes, timed } = require('../../lib/logger');
+const {
+  createAuth,
+  loadApiKeys,
+  scopeError,
+  AuthConfigError,
+} = require('./auth');
+const { createRateLimiter } = require('./rate-limit');
+const { createServiceMetrics } = require('./metrics');
+const { createHealthChecks } = require('./health');
+const {
+  createWorkerPool,
+  PoolBusyError,
+  PoolTimeoutError,
+  PoolClosedError,
+} = require('./pool');
+const pkg = require('../../package.json');
+
+const { config, apiKeys } = loadSettings();
+const logger = createLogger({ level: config.logLevel });
 const app = express();
 
-// Middleware
-app.use(express.json({ limit: '10mb' }));
+// Project-wide rule settings; requests may override them with `rules`
+const projectRules = loadRuleConfig();
+
+const auth = createAuth({ keys: apiKeys });
+const rateLimiter = createRateLimiter({
+  perMinute: config.rateLimitPerMinute,
+  burst: config.rateLimitBurst,
+});
+// Validate / analyze / format / fix run here, off the event loop
+const pool = createWorkerPool({
+  size: config.workerPoolSize,
+  maxQueue: config.workerQueueDepth,
+  timeout: config.requestTimeout,
+});
+const metrics = createServiceMetrics({
+  cacheStats: () => resultCache.stats(),
+  jobStats: () => jobs.stats(),
+  poolStats: () => pool.stats(),
+  info: { version: pkg.version, engine_version: ENGINE_VERSION },
+});
+
+// Set on SIGTERM; readiness fails while open requests drain
+let shuttingDown = false;
+
+// Scope each MCP tool needs, the one its HTTP route takes; tools missing
+// here need `admin`
+const MCP_TOOL_SCOPES = {
+  analyze_code_cli: 'analyze',
+  analyze_diff_cli: 'analyze',
+  analyze_project_cli: 'analyze',
+  detect_duplicates: 'analyze',
+  document_code: 'analyze',
+  validate_code_cli: 'process',
+  process_code: 'process',
+  format_code_cli: 'format',
+  fix_code_cli: 'fix',
+  execute_code: 'execute',
+};
+
+// Request IDs accepted from clients; anything else is replaced
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Request ID, request logger and the access log entry
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const incoming = req.get('X-Request-Id');
+  req.id =
+    incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+
+  // Error bodies carry the request ID (JSON-RPC messages keep their shape)
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(
+      res.statusCode >= 400 && body && typeof body === 'object' && !body.jsonrpc
+        ? { ...body, request_id: req.id }
+        : body,
+    );
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const level =
+      res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms:
+        Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      request_bytes: Number(req.get('Content-Length')) || 0,
+      cache: res.locals.cache,
+      api_key: req.apiKey ? req.apiKey.name : undefined,
+    });
+  });
   next();
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
+app.use(metrics.middleware);
+
+// Readiness checks: the service takes work only while all of them pass
+const PROBE_CODE = 'const probe = 1;';
+const health = createHealthChecks({
+  server: () => {
+    if (shuttingDown) throw new Error('Server is shutting down');
+    return { uptime: process.uptime() };
+  },
+  // A tiny analysis and format exercise the parser, rules and Prettier
+  engine: async () => {
+    analyzeCode(PROBE_CODE);
+    await formatCode(PROBE_CODE);
+    return { engine_version: ENGINE_VERSION };
+  },
+  pool: () => {
+    const stats = pool.stats();
+    if (stats.closing) throw new Error('Worker pool is draining');
+    if (stats.size === 0) throw new Error('No worker threads are running');
+    if (stats.idle === 0 && stats.queued >= stats.max_queue) {
+      throw new Error('Every worker is busy and the queue is full');
+    }
+    return stats;
+  },
+  jobs: () => ({ enabled: config.enableDeepAnalysis, ...jobs.stats() }),
+  cache: async () => {
+    if (config.cacheDir) {
+      await fs.promises.access(config.cacheDir, fs.constants.W_OK);
+    }
+    const { entries, disk } = resultCache.stats();
+    return { entries, disk };
+  },
+});
+
+// Health endpoints (open, for load balancers and probes)
+app.get('/health', async (req, res) => {
+  const { ready, checks } = await health.run();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'healthy' : 'unhealthy',
     service: 'code-processor',
+    engine_version: ENGINE_VERSION,
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
+    checks,
   });
 });
 
+// Liveness: the process is up and its event loop is turning
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', uptime: process.uptime() });
+});
+
+// Readiness: 503 while any check fails, so no new work is routed here
+app.get('/health/ready', async (req, res) => {
+  const { ready, checks } = await health.run();
+  res
+    .status(ready ? 200 : 503)
+    .json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+app.use(auth.authenticate, rateLimiter.middleware);
+
+// The engine on the worker pool, for the tools called over /mcp
+const poolEngine = {
+  analyzeCode: (...args) => pool.run('analyze', args),
+  analyzeDiff: (...args) => pool.run('analyze-diff', args),
+  analyzeProjectFiles: (...args) => pool.run('analyze-project', args),
+  detectDuplicates: (...args) => pool.run('duplicates', args),
+  documentCode: (...args) => pool.run('document', args),
+  validateCode: (...args) => pool.run('validate', args),
+  formatCode: (...args) => pool.run('format', args),
+  fixCode: (...args) => pool.run('fix', args),
+  executeCode: (...args) => pool.run('execute', args),
+  processCode: (...args) => pool.run('process', args),
+};
+
+// MCP Streamable HTTP endpoint (parses its own JSON-RPC bodies)
+app.use(
+  '/mcp',
+  auth.requireScope('mcp'),
+  createMcpRouter({
+    serverInfo: { name: pkg.name, version: pkg.version },
+    tools: loadToolCatalog({ remote: true, engine: poolEngine }),
+    authorize: authorizeToolCall,
+    allowedOrigins: config.mcpAllowedOrigins,
+    bodyLimit: config.maxBodySize,
+    maxSessions: config.mcpMaxSessions,
+  }),
+);
+
+app.use(express.json({ limit: config.maxBodySize }));
+app.use(limitCodeSize);
+
+// Background jobs for long-running work
+const jobs = createJobManager({
+  runners: { analyze: runDeepAnalysisJob },
+  timeout: config.deepAnalysisTimeout,
+  maxQueued: config.jobQueueDepth,
+  maxRetained: config.jobMaxRetained,
+  retention: config.jobRetention,
+});
+app.post(
+  '/jobs',
+  auth.requireScope('analyze'),
+  requireDeepAnalysis,
+  validateJobRules,
+);
+app.use('/jobs', auth.requireScope('analyze'), createJobsRouter(jobs));
+
+// Results of /process, /analyze and /format, keyed by input and options
+const resultCache = createResultCache({
+  maxEntries: config.cacheMaxEntries,
+  maxBytes: config.cacheMaxBytes,
+  dir: config.cacheDir,
+});
+
 // Process code endpoint
-app.post('/process', async (req, res) => {
+app.post('/process', auth.requireScope('process'), async (req, res) => {
   try {
-    const { code, operations = ['validate', 'analyze'] } = req.body;
+    const {
+      code,
+      language = 'javascript',
+      operations = ['validate', 'analyze'],
+      format = 'json',
+    } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: 'Code is required' });
     }
-
-    const results = {};
-
-    // Validate if requested
-    if (operations.includes('validate')) {
-      results.validation = validateCode(code);
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json(unsupportedFormat(format));
     }
+    const rules = requestRules(req.body.rules);
+    const options = {
+      language,
+      operations,
+      rules,
+      sourceType: req.body.sourceType,
+      strict: req.body.strict,
+      execution: req.body.execution,
+      duplicates: req.body.duplicates,
+      redactSecrets: req.body.redactSecrets,
+    };
+    const compute = () =>
+      pool.run('process', [code, options], {
+        onTiming: reportOperation(req, code),
+      });
 
-    // Analyze if requested
-    if (operations.includes('analyze')) {
-      results.analysis = analyzeCode(code);
+    if (
+      checkOperations(operations).includes('format') &&
+      !resolveParser(language)
+    ) {
+      return res.status(400).json(unsupportedLanguage(language));
     }
 
-    // Format if requested
-    if (operations.includes('format')) {
-      results.formatting = formatCode(code);
+    // Execution output is not a function of the code alone
+    if (operations.includes('execute')) {
+      if (!auth.hasScope(req, 'execute')) {
+        return res.status(403).json(scopeError('execute'));
+      }
+      const processed = await compute();
+      return sendResults(res, format, processed.results, processed);
     }
 
-    res.json({
-      results,
-      operations_completed: operations,
-      processed_at: new Date().toISOString(),
-    });
+    const cached = await cachedResult(
+      req,
+      res,
+      'process',
+      code,
+      { ...options, format },
+      compute,
+    );
+    if (cached) {
+      sendResults(res, format, cached.value.results, cached.json);
+    }
   } catch (error) {
+    if (sendPoolError(res, error)) return;
+    if (error instanceof RuleConfigError) {
+      return res.status(400).json(ruleConfigError(error));
+    }
+    if (
+      error instanceof ValidationOptionError ||
+      error instanceof SandboxOptionError ||
+      error instanceof DuplicationOptionError ||
+      error instanceof ProcessOptionError
+    ) {
+      return res.status(400).json({ error: error.message, type: error.name });
+    }
+    if (error.loc) return res.status(400).json(syntaxError(error));
+    req.log.error('operation failed', { error });
     res.status(500).json({
       error: error.message,
       type: 'ProcessError',
@@ -68,29 +365,173 @@ app.post('/process', async (req, res) => {
   }
 });
 
-// Deep analysis endpoint (simulates long-running operation)
-app.post('/analyze', async (req, res) => {
+// Deep analysis endpoint (runs through the job subsystem)
+app.post('/analyze', auth.requireScope('analyze'), async (req, res) => {
   try {
-    const { code, deep = false, include_suggestions = true } = req.body;
+    const {
+      code,
+      files,
+      language = 'javascript',
+      deep = false,
+      include_suggestions = true,
+      async: runAsync = false,
+      format = 'json',
+    } = req.body;
+
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json(unsupportedFormat(format));
+    }
+    const rules = requestRules(req.body.rules);
+
+    // Project mode: a { path: source } map analyzed as one unit
+    if (files !== undefined) {
+      if (!isFileMap(files)) {
+        return res.status(400).json({
+          error: 'files must be an object mapping paths to source strings',
+        });
+      }
+      const cached = await cachedResult(
+        req,
+        res,
+        'analyze-project',
+        files,
+        { rules, include_suggestions, format },
+        async () => {
+          const analysis = await pool.run('analyze-project', [
+            files,
+            { rules },
+          ]);
+          if (include_suggestions) {
+            analysis.suggestions = generateSuggestions(analysis);
+          }
+          return analysis;
+        },
+      );
+      if (cached) {
+        sendResults(res, format, { analysis: cached.value }, cached.json);
+      }
+      return;
+    }
 
     if (!code) {
       return res.status(400).json({ error: 'Code is required' });
     }
+    if (deep && !config.enableDeepAnalysis) {
+      return res.status(503).json(deepAnalysisDisabled());
+    }
 
-    // Simulate long-running analysis
-    if (deep) {
-      await new Promise((resolve) => setTimeout(resolve, 2000));
+    const jobInput = { code, language, include_suggestions, rules };
+
+    // Hand back the job instead of holding the connection open
+    if (deep && runAsync) {
+      const job = jobs.submit('analyze', jobInput);
+      return res
+        .status(202)
+        .location(`/jobs/${job.id}`)
+        .json(serializeJob(job));
     }
 
-    const analysis = analyzeCode(code);
+    const cached = await cachedResult(
+      req,
+      res,
+      deep ? 'analyze-deep' : 'analyze',
+      code,
+      { language, rules, include_suggestions, format },
+      async () => {
+        if (deep) {
+          const job = jobs.submit('analyze', jobInput);
+          await jobs.wait(job, config.requestTimeout);
+          if (job.status === 'queued' || job.status === 'running') {
+            const error = new Error('Deep analysis is still running');
+            error.pendingJob = job;
+            throw error;
+          }
+          if (job.status !== 'completed') {
+            const error = new Error(job.error || `Analysis job ${job.status}`);
+            error.jobId = job.id;
+            throw error;
+          }
+          return job.result;
+        }
+
+        const analysis = await pool.run('analyze', [code, language, { rules }]);
 
-    // Add suggestions if requested
-    if (include_suggestions) {
-      analysis.suggestions = generateSuggestions(analysis);
+        // Add suggestions if requested
+        if (include_suggestions) {
+          analysis.suggestions = generateSuggestions(analysis);
+        }
+        return analysis;
+      },
+    );
+    if (cached) {
+      sendResults(res, format, { analysis: cached.value }, cached.json);
     }
+  } catch (error) {
+    if (sendPoolError(res, error)) return;
+    if (error instanceof JobLimitError) {
+      return res.status(503).set('Retry-After', '1').json(jobLimit(error));
+    }
+    if (error instanceof RuleConfigError) {
+      return res.status(400).json(ruleConfigError(error));
+    }
+    // Past REQUEST_TIMEOUT: hand back the job to poll instead
+    if (error.pendingJob) {
+      return res
+        .status(202)
+        .location(`/jobs/${error.pendingJob.id}`)
+        .json(serializeJob(error.pendingJob));
+    }
+    req.log.error('operation failed', { error });
+    res.status(500).json({
+      error: error.message,
+      type: 'AnalysisError',
+      ...(error.jobId && { job_id: error.jobId }),
+    });
+  }
+});
+
+// Diff-aware analysis endpoint: base + head (or a unified diff)
+app.post('/analyze/diff', auth.requireScope('analyze'), async (req, res) => {
+  try {
+    const {
+      base,
+      head,
+      patch,
+      language = 'javascript',
+      fail_on: failOn = 'high',
+      format = 'json',
+    } = req.body;
+
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json(unsupportedFormat(format));
+    }
+    const rules = requestRules(req.body.rules);
 
-    res.json(analysis);
+    const result = await timed(
+      'analyze-diff',
+      () =>
+        pool.run('analyze-diff', [
+          { base, head, patch },
+          { language, rules, failOn },
+        ]),
+      reportOperation(req, { base, head, patch }),
+    );
+    // SARIF/JUnit list the new issues only
+    sendResults(
+      res,
+      format,
+      { analysis: { issues: result.issues.new } },
+      result,
+    );
   } catch (error) {
+    if (sendPoolError(res, error)) return;
+    if (error instanceof RuleConfigError) {
+      return res.status(400).json(ruleConfigError(error));
+    }
+    if (error instanceof DiffInputError) {
+      return res.status(400).json({ error: error.message, type: error.name });
+    }
+    req.log.error('operation failed', { error });
     res.status(500).json({
       error: error.message,
       type: 'AnalysisError',
@@ -99,17 +540,31 @@ app.post('/analyze', async (req, res) => {
 });
 
 // Format code endpoint
-app.post('/format', async (req, res) => {
+app.post('/format', auth.requireScope('format'), async (req, res) => {
   try {
-    const { code, options = {} } = req.body;
+    const { code, language = 'javascript', options = {} } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: 'Code is required' });
     }
 
-    const result = formatCode(code, options);
-    res.json(result);
+    if (!resolveParser(language)) {
+      return res.status(400).json(unsupportedLanguage(language));
+    }
+
+    const cached = await cachedResult(
+      req,
+      res,
+      'format',
+      code,
+      { language, options },
+      () => pool.run('format', [code, language, options]),
+    );
+    if (cached) res.json(cached.json);
   } catch (error) {
+    if (sendPoolError(res, error)) return;
+    if (error.loc) return res.status(400).json(syntaxError(error));
+    req.log.error('operation failed', { error });
     res.status(500).json({
       error: error.message,
       type: 'FormatError',
@@ -117,107 +572,420 @@ app.post('/format', async (req, res) => {
   }
 });
 
-// Helper functions
-function validateCode(code) {
-  const errors = [];
+// Autofix endpoint
+app.post('/fix', auth.requireScope('fix'), async (req, res) => {
+  try {
+    const { code, language = 'javascript', rules } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
 
+    res.json(
+      await timed(
+        'fix',
+        () => pool.run('fix', [code, language, rules]),
+        reportOperation(req, code),
+      ),
+    );
+  } catch (error) {
+    if (sendPoolError(res, error)) return;
+    if (error instanceof RuleConfigError) {
+      return res.status(400).json(ruleConfigError(error));
+    }
+    req.log.error('operation failed', { error });
+    res.status(500).json({
+      error: error.message,
+      type: 'FixError',
+    });
+  }
+});
+
+// API documentation endpoint
+app.post('/document', auth.requireScope('analyze'), async (req, res) => {
   try {
-    new Function(code);
+    const { code, language = 'javascript', format = 'json' } = req.body;
 
-    const openBraces = (code.match(/\{/g) || []).length;
-    const closeBraces = (code.match(/\}/g) || []).length;
-    if (openBraces !== closeBraces) {
-      errors.push({ type: 'syntax', message: 'Mismatched braces' });
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
     }
 
-    return {
-      valid: errors.length === 0,
-      errors,
-    };
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unsupported output format: ${format}`,
+        supported_formats: DOCUMENT_FORMATS,
+      });
+    }
+
+    const cached = await cachedResult(
+      req,
+      res,
+      'document',
+      code,
+      { language, format },
+      () => pool.run('document', [code, language]),
+    );
+    if (!cached) return;
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(cached.value.markdown);
+    }
+    res.json(cached.json);
+  } catch (error) {
+    if (sendPoolError(res, error)) return;
+    req.log.error('operation failed', { error });
+    res.status(500).json({
+      error: error.message,
+      type: 'DocumentationError',
+    });
+  }
+});
+
+// Sandboxed execution endpoint
+app.post('/execute', auth.requireScope('execute'), async (req, res) => {
+  try {
+    const { code, timeout_ms, memory_limit_mb, max_output_bytes } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    // Snippet failures are part of the result, not an HTTP error
+    const result = await timed(
+      'execute',
+      () =>
+        pool.run('execute', [
+          code,
+          { timeout_ms, memory_limit_mb, max_output_bytes },
+        ]),
+      reportOperation(req, code),
+    );
+    res.json(result);
   } catch (error) {
+    if (sendPoolError(res, error)) return;
+    if (error instanceof SandboxOptionError) {
+      return res.status(400).json({ error: error.message, type: error.name });
+    }
+    req.log.error('operation failed', { error });
+    res.status(500).json({
+      error: error.message,
+      type: 'ExecutionError',
+    });
+  }
+});
+
+// Result cache statistics
+app.get('/cache', auth.requireScope('admin'), (req, res) => {
+  res.json(resultCache.stats());
+});
+
+// Purge the result cache
+app.delete('/cache', auth.requireScope('admin'), async (req, res) => {
+  try {
+    res.json({ purged: await resultCache.purge() });
+  } catch (error) {
+    req.log.error('operation failed', { error });
+    res.status(500).json({
+      error: error.message,
+      type: 'CacheError',
+    });
+  }
+});
+
+// Prometheus metrics
+app.get('/metrics', auth.requireScope('metrics'), (req, res) => {
+  res.set('Content-Type', metrics.contentType).send(metrics.render());
+});
+
+// Effective configuration, with secrets redacted
+app.get('/admin/config', auth.requireScope('admin'), (req, res) => {
+  res.json({
+    settings: describeConfig(config),
+    api_keys: apiKeys.map(({ name, scopes }) => ({ name, scopes })),
+  });
+});
+
+// Helper functions
+
+// A timed() reporter logging an operation with its input size (never the
+// code itself) and recording it in the metrics
+function reportOperation(req, input) {
+  const input_bytes = inputBytes(input);
+  return (timing) => {
+    req.log[timing.outcome === 'ok' ? 'info' : 'warn']('operation completed', {
+      ...timing,
+      input_bytes,
+    });
+    metrics.observeOperation(timing, input_bytes);
+  };
+}
+
+// Configuration and API keys; a bad setting stops startup with the list
+// of problems
+function loadSettings() {
+  try {
+    const settings = loadConfig();
     return {
-      valid: false,
-      errors: [{ type: 'syntax', message: error.message }],
+      config: settings,
+      apiKeys: loadApiKeys({
+        apiKey: settings.apiKey,
+        keysFile: settings.apiKeysFile,
+      }),
     };
+  } catch (error) {
+    if (error instanceof ConfigError || error instanceof AuthConfigError) {
+      createLogger().error('invalid configuration', {
+        problems: error.problems || [error.message],
+      });
+      process.exit(1);
+    }
+    throw error;
   }
 }
 
-function analyzeCode(code) {
-  const lines = code.split('\n').length;
-  const complexity = calculateComplexity(code);
-
-  const issues = [];
-  if (code.includes('eval(')) {
-    issues.push({
-      severity: 'high',
-      message: 'Use of eval() detected',
-      category: 'security',
+// Worker pool refusals: 503 while the queue is full or the pool drains,
+// 504 once work ran past REQUEST_TIMEOUT and was stopped
+function sendPoolError(res, error) {
+  if (error instanceof PoolTimeoutError) {
+    res.status(504).json({
+      error: error.message,
+      type: error.name,
+      timeout: error.timeout,
     });
+    return true;
+  }
+  if (error instanceof PoolBusyError || error instanceof PoolClosedError) {
+    res
+      .status(503)
+      .set('Retry-After', '1')
+      .json({ error: error.message, type: error.name });
+    return true;
   }
+  return false;
+}
 
+function deepAnalysisDisabled() {
   return {
-    metrics: {
-      lines,
-      complexity,
-      rating: complexity <= 10 ? 'simple' : 'complex',
-    },
-    issues,
-    summary: {
-      total_issues: issues.length,
-      high: issues.filter((i) => i.severity === 'high').length,
-    },
+    error: 'Deep analysis is disabled (ENABLE_DEEP_ANALYSIS=false)',
+    type: 'FeatureDisabledError',
   };
 }
 
-function formatCode(code, options = {}) {
-  let formatted = code.trim();
+function requireDeepAnalysis(req, res, next) {
+  if (config.enableDeepAnalysis) return next();
+  res.status(503).json(deepAnalysisDisabled());
+}
 
-  if (options.addSemicolons !== false) {
-    formatted = formatted.replace(/([^;{}\s])(\n|$)/g, '$1;$2');
+// Reject a job's invalid rules with 400 before it is queued, as /analyze does
+function validateJobRules(req, res, next) {
+  try {
+    requestRules(req.body.rules);
+    next();
+  } catch (error) {
+    if (error instanceof RuleConfigError) {
+      return res.status(400).json(ruleConfigError(error));
+    }
+    next(error);
   }
+}
 
+/**
+ * Serve `operation` on `input` from the result cache, running `compute` on
+ * a miss. The key doubles as a strong ETag: a matching If-None-Match gets
+ * 304 without any work. Request `Cache-Control: no-cache` skips the lookup
+ * and `no-store` also keeps the result out of the cache.
+ * Returns { value, json } (json carries the `cache` field) or null once a
+ * 304 has been sent.
+ */
+async function cachedResult(req, res, operation, input, options, compute) {
+  const key = resultCache.key(operation, input, options);
+  const etag = `"${key}"`;
+  res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+
+  const candidates = (req.get('If-None-Match') || '')
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''));
+  if (candidates.includes(etag) || candidates.includes('*')) {
+    res.status(304).end();
+    return null;
+  }
+
+  const directives = (req.get('Cache-Control') || '').toLowerCase();
+  const noStore = directives.includes('no-store');
+  const revalidate = noStore || directives.includes('no-cache');
+
+  let value = revalidate ? undefined : await resultCache.get(key);
+  const status = value === undefined ? 'miss' : 'hit';
+  if (value === undefined) {
+    value = await timed(operation, compute, reportOperation(req, input));
+    // The result stands even when it cannot be stored
+    if (!noStore) {
+      await resultCache.set(key, value).catch((error) => {
+        req.log.warn('cache write failed', { error });
+      });
+    }
+  }
+
+  res.locals.cache = status;
+  res.set('X-Cache', status.toUpperCase());
+  return { value, json: { ...value, cache: { status, key } } };
+}
+
+// Send `json` as is, or render `results` as SARIF / JUnit XML
+function sendResults(res, format, results, json) {
+  if (format === 'json') return res.json(json);
+  const report = renderReport(format, results);
+  res.type(report.contentType).send(report.body);
+}
+
+function unsupportedLanguage(language) {
   return {
-    original: code,
-    formatted: formatted,
-    changed: code !== formatted,
+    error: `Unsupported language: ${language}`,
+    supported_languages: supportedLanguages(),
   };
 }
 
-function calculateComplexity(code) {
-  const keywords = ['if', 'else', 'for', 'while', 'case'];
-  let complexity = 1;
-  keywords.forEach((keyword) => {
-    const matches = code.match(new RegExp('\\b' + keyword + '\\b', 'g'));
-    if (matches) complexity += matches.length;
-  });
-  return complexity;
+// Prettier syntax errors carry the offending location
+function syntaxError(error) {
+  return {
+    error: error.message,
+    type: 'SyntaxError',
+    line: error.loc.start.line,
+    column: error.loc.start.column,
+  };
+}
+
+function unsupportedFormat(format) {
+  return {
+    error: `Unsupported output format: ${format}`,
+    supported_formats: OUTPUT_FORMATS,
+  };
+}
+
+// Request `rules` layered over .wizelitrc.json, checked up front so a bad
+// setting is a 400 rather than a failed job
+function requestRules(overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new RuleConfigError('rules must be an object of rule settings');
+  }
+  const rules = { ...projectRules, ...overrides };
+  resolveRules(rules);
+  return rules;
 }
 
-function generateSuggestions(analysis) {
-  const suggestions = [];
+function ruleConfigError(error) {
+  return { error: error.message, type: 'RuleConfigError' };
+}
 
-  if (analysis.metrics.complexity > 10) {
-    suggestions.push({
-      type: 'refactoring',
-      message: 'Consider breaking down complex functions into smaller ones',
+// Job runner for deep analysis: the multi-pass pipeline plus suggestions
+async function runDeepAnalysisJob(
+  { code, language = 'javascript', include_suggestions = true, rules },
+  { reportProgress, signal },
+) {
+  // On a pool worker, so the job timeout and cancellation can stop it
+  const analysis = await pool.run(
+    'analyze-deep',
+    [code, language, { rules: requestRules(rules) }],
+    {
+      onProgress: reportProgress,
+      signal,
+      timeout: config.deepAnalysisTimeout,
+    },
+  );
+
+  if (include_suggestions) {
+    analysis.suggestions = generateSuggestions(analysis);
+  }
+  return analysis;
+}
+
+function payloadTooLarge(message, limit, fields = {}) {
+  return { error: message, type: 'PayloadTooLargeError', limit, ...fields };
+}
+
+// The payloadTooLarge body for the first source string (code, base, head,
+// patch or a project file) over MAX_CODE_SIZE bytes, or null
+function oversizedSource(body) {
+  const sources = ['code', 'base', 'head', 'patch']
+    .filter((field) => typeof body[field] === 'string')
+    .map((field) => [field, body[field]]);
+  if (body.files && typeof body.files === 'object') {
+    Object.entries(body.files).forEach(([file, source]) => {
+      if (typeof source === 'string') sources.push([`files.${file}`, source]);
     });
   }
 
-  analysis.issues.forEach((issue) => {
-    if (issue.severity === 'high') {
-      suggestions.push({
-        type: 'security',
-        message: `Fix ${issue.category} issue: ${issue.message}`,
+  for (const [field, source] of sources) {
+    const size = Buffer.byteLength(source);
+    if (size > config.maxCodeSize) {
+      return payloadTooLarge(
+        `${field} is ${size} bytes, over the ${config.maxCodeSize}-byte limit (MAX_CODE_SIZE)`,
+        config.maxCodeSize,
+        { field, size },
+      );
+    }
+  }
+  return null;
+}
+
+// 413 for a request with a source string over MAX_CODE_SIZE
+function limitCodeSize(req, res, next) {
+  const tooLarge = oversizedSource(req.body || {});
+  if (tooLarge) return res.status(413).json(tooLarge);
+  next();
+}
+
+// /mcp tools/call gets the checks its HTTP route would: the tool's scope
+// (and `execute` for process_code running the execute operation) and
+// MAX_CODE_SIZE
+function authorizeToolCall(tool, args, { req }) {
+  const scopes = [MCP_TOOL_SCOPES[tool.name] || 'admin'];
+  if (tool.name === 'process_code' && args.operations !== undefined) {
+    let operations;
+    try {
+      operations = checkOperations(args.operations);
+    } catch (error) {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, error.message, {
+        type: error.name,
       });
     }
-  });
+    if (operations.includes('execute')) scopes.push('execute');
+  }
+  const missing = scopes.find((scope) => !auth.hasScope(req, scope));
+  if (missing) {
+    const refusal = scopeError(missing);
+    throw new RpcError(ERROR_CODES.INVALID_REQUEST, refusal.error, refusal);
+  }
+
+  const tooLarge = oversizedSource(args);
+  if (tooLarge) {
+    throw new RpcError(ERROR_CODES.INVALID_PARAMS, tooLarge.error, tooLarge);
+  }
+}
 
-  return suggestions;
+function isFileMap(files) {
+  return (
+    files !== null &&
+    typeof files === 'object' &&
+    !Array.isArray(files) &&
+    Object.keys(files).length > 0 &&
+    Object.values(files).every((source) => typeof source === 'string')
+  );
 }
 
 // Error handling
 app.use((error, req, res, next) => {
-  console.error('Error:', error);
+  // Raised by the body parsers past MAX_BODY_SIZE
+  if (error.type === 'entity.too.large') {
+    return res
+      .status(413)
+      .json(
+        payloadTooLarge(
+          `Request body is over the ${config.maxBodySize}-byte limit (MAX_BODY_SIZE)`,
+          config.maxBodySize,
+        ),
+      );
+  }
+  (req.log || logger).error('unhandled error', { error });
   res.status(500).json({
     error: 'Internal server error',
     message: error.message,
@@ -225,26 +993,32 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 const server = app.listen(PORT, () => {
-  console.log('='.repeat(50));
-  console.log(`🚀 Code Processor Service`);
-  console.log(`📡 Running on port ${PORT}`);
-  console.log(`🔗 http://localhost:${PORT}`);
-  console.log('='.repeat(50));
-  console.log('Endpoints:');
-  console.log(`  GET  /health - Health check`);
-  console.log(`  POST /process - Process code`);
-  console.log(`  POST /analyze - Deep analysis`);
-  console.log(`  POST /format - Format code`);
-  console.log('='.repeat(50));
+  logger.info('server started', {
+    service: 'code-processor',
+    version: pkg.version,
+    engine_version: ENGINE_VERSION,
+    port: PORT,
+    auth: auth.enabled ? 'api-key' : 'off',
+  });
+  if (!auth.enabled) {
+    logger.warn('no API keys configured: authentication is off');
+  }
 });
 
+// Time allowed to receive a whole request
+server.requestTimeout = config.requestTimeout;
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    console.log('HTTP server closed');
+  logger.info('shutting down', { signal: 'SIGTERM' });
+  shuttingDown = true;
+  // Accepted requests finish (and with them their pool work) before the
+  // workers stop
+  server.close(async () => {
+    await pool.drain();
+    logger.info('server closed');
   });
 });
 
@@ -0,0 +1,198 @@
+/**
+ * MCP Tool Catalog
+ * Tools served in-process, described by the input_schema definitions in
+ * config/bridge-config.yaml
+ *
+ * The stdio server runs on the caller's machine and serves every tool. The
+ * remote catalog (MCP over HTTP) is for callers who must not see the
+ * server's file system, so it leaves out the tools that read a directory
+ * and drops the optional directory argument of the others.
+ *
+ * Handlers call the engine in-process unless given another `engine` with
+ * the same functions, such as one that runs them on a worker pool.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const ENGINE = require('../../lib/engine');
+const { readProjectFiles } = require('../../lib/project');
+const { loadRuleConfig } = require('../../lib/rules');
+const { renderReport } = require('../../lib/reporters');
+
+const BRIDGE_CONFIG_PATH = path.join(
+  __dirname,
+  '../../config/bridge-config.yaml',
+);
+
+// Arguments naming a file or directory on the server
+const FILE_SYSTEM_ARGUMENTS = ['path'];
+
+// Request rule settings layered over the project's .wizelitrc.json
+function ruleSettings(rules, dir) {
+  return { ...loadRuleConfig(dir), ...rules };
+}
+
+// Render SARIF / JUnit output when a non-JSON format is requested
+function withFormat(format, results, json) {
+  if (!format || format === 'json') return json;
+  return renderReport(format, results).body;
+}
+
+async function processCode(
+  {
+    code,
+    language,
+    operations,
+    format,
+    rules,
+    sourceType,
+    strict,
+    execution,
+    duplicates,
+    redactSecrets,
+  },
+  engine = ENGINE,
+) {
+  const processed = await engine.processCode(code, {
+    language,
+    operations,
+    rules: ruleSettings(rules),
+    sourceType,
+    strict,
+    execution,
+    duplicates,
+    redactSecrets,
+  });
+  return withFormat(format, processed.results, processed);
+}
+
+// Bridge tool name -> implementation on `engine`
+function createHandlers(engine) {
+  return {
+    analyze_code_cli: async ({ code, language, format, rules }) => {
+      const analysis = await engine.analyzeCode(code, language, {
+        rules: ruleSettings(rules),
+      });
+      return withFormat(format, { analysis }, analysis);
+    },
+    analyze_diff_cli: async ({
+      base,
+      head,
+      patch,
+      language,
+      rules,
+      fail_on,
+      format,
+    }) => {
+      const result = await engine.analyzeDiff(
+        { base, head, patch },
+        { language, rules: ruleSettings(rules), failOn: fail_on },
+      );
+      return withFormat(
+        format,
+        { analysis: { issues: result.issues.new } },
+        result,
+      );
+    },
+    analyze_project_cli: ({ path: dir, rules }) =>
+      engine.analyzeProjectFiles(readProjectFiles(dir), {
+        rules: ruleSettings(rules, dir),
+      }),
+    detect_duplicates: ({
+      code,
+      path: dir,
+      language,
+      min_tokens,
+      min_lines,
+    }) => {
+      if (!dir && typeof code !== 'string') {
+        throw new Error('code or path is required');
+      }
+      return engine.detectDuplicates(dir ? readProjectFiles(dir) : code, {
+        language,
+        min_tokens,
+        min_lines,
+      });
+    },
+    document_code: async ({ code, language, format }) => {
+      const documentation = await engine.documentCode(code, language);
+      return format === 'markdown' ? documentation.markdown : documentation;
+    },
+    format_code_cli: ({ code, language, options }) =>
+      engine.formatCode(code, language, options),
+    fix_code_cli: ({ code, language, rules }) =>
+      engine.fixCode(code, language, rules),
+    validate_code_cli: async ({
+      code,
+      language,
+      sourceType,
+      strict,
+      format,
+    }) => {
+      const validation = await engine.validateCode(code, {
+        language,
+        sourceType,
+        strict,
+      });
+      return withFormat(format, { validation }, validation);
+    },
+    process_code: (args) => processCode(args, engine),
+    execute_code: ({ code, timeout_ms, memory_limit_mb, max_output_bytes }) =>
+      engine.executeCode(code, {
+        timeout_ms,
+        memory_limit_mb,
+        max_output_bytes,
+      }),
+  };
+}
+
+function loadBridgeTools(configPath = BRIDGE_CONFIG_PATH) {
+  const config = YAML.parse(fs.readFileSync(configPath, 'utf8'));
+  return config.tools || [];
+}
+
+function readsFileSystem(tool) {
+  const required = (tool.input_schema && tool.input_schema.required) || [];
+  return required.some((name) => FILE_SYSTEM_ARGUMENTS.includes(name));
+}
+
+function omitFileSystemArguments(object) {
+  const rest = { ...object };
+  FILE_SYSTEM_ARGUMENTS.forEach((name) => delete rest[name]);
+  return rest;
+}
+
+// The tool without its optional path arguments, in the schema and in calls
+function withoutFileSystem(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: omitFileSystemArguments(tool.inputSchema.properties),
+    },
+    handler: (args) => tool.handler(omitFileSystemArguments(args)),
+  };
+}
+
+/**
+ * Build the MCP tool list: every bridge tool that has an in-process
+ * handler, with its description and input schema taken from the config.
+ * A `remote` catalog leaves out the tools that need a server path and
+ * takes no path argument in the others. Handlers run on `engine`.
+ */
+function loadToolCatalog({ configPath, remote = false, engine = ENGINE } = {}) {
+  const handlers = createHandlers(engine);
+  return loadBridgeTools(configPath)
+    .filter((tool) => handlers[tool.name])
+    .filter((tool) => !remote || !readsFileSystem(tool))
+    .map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.input_schema || { type: 'object', properties: {} },
+      handler: handlers[tool.name],
+    }))
+    .map((tool) => (remote ? withoutFileSystem(tool) : tool));
+}
+
+module.exports = { loadToolCatalog, processCode };
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Stdio Server
+ * Serves the code tools to any MCP host over stdio, without the Python bridge
+ *
+ * Messages are newline-delimited JSON-RPC 2.0 on stdin/stdout. Diagnostics go
+ * to stderr so they never corrupt the protocol stream.
+ *
+ * Usage: node services/mcp-server/server.js
+ */
+
+const readline = require('readline');
+const { createMcpHandler, decodeMessage } = require('../../lib/mcp/protocol');
+const { loadToolCatalog } = require('./catalog');
+const pkg = require('../../package.json');
+
+function startStdioServer({
+  input = process.stdin,
+  output = process.stdout,
+} = {}) {
+  const { handleMessage } = createMcpHandler({
+    serverInfo: { name: pkg.name, version: pkg.version },
+    tools: loadToolCatalog(),
+  });
+
+  const send = (response) => {
+    if (response) output.write(JSON.stringify(response) + '\n');
+  };
+
+  const lines = readline.createInterface({ input, terminal: false });
+  const pending = new Set();
+
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+
+    const { message, error } = decodeMessage(line);
+    if (error) return send(error);
+
+    const work = handleMessage(message)
+      .then(send)
+      .catch((err) => console.error('MCP handler error:', err))
+      .finally(() => pending.delete(work));
+    pending.add(work);
+  });
+
+  // Resolves once stdin has closed and every in-flight call has answered
+  return new Promise((resolve) => {
+    lines.on('close', () => Promise.all(pending).then(resolve));
+  });
+}
+
+// Run if executed directly
+if (require.main === module) {
+  startStdioServer().then(() => process.exit(0));
+  console.error(`${pkg.name} MCP server running on stdio`);
+}
+
+module.exports = { startStdioServer };
@@ -4,140 +4,100 @@
  * Code Analyzer Tool
  * Analyzes JavaScript/TypeScript code for metrics, complexity, and issues
  *
- * Usage: node analyze-code.js <code> [language]
+ * Usage: node analyze-code.js <code> [language] [--format=json|sarif|junit]
+ *                                [--rules='{"no-console":"off"}']
+ *        node analyze-code.js --project <directory> [--format=...] [--rules=...]
+ *        node analyze-code.js --base=<code> (--head=<code> | --patch=<diff>)
+ *                                [language] [--fail-on=high] [--format=...]
+ *
+ * Rule settings are read from .wizelitrc.json in the working directory (or
+ * the project directory), then overridden by --rules.
+ *
+ * With --base, only the change is reported (new / fixed / unchanged issues
+ * and per-function complexity deltas) and the exit code is the PR gate: 1
+ * when the change adds an issue at the --fail-on severity or above.
  */
 
-function analyzeCode(code, language = 'javascript') {
-  const lines = code.split('\n').length;
-  const chars = code.length;
-  const words = code.split(/\s+/).filter((w) => w).length;
-
-  // Detect potential issues
-  const issues = [];
-
-  // Security issues
-  if (code.includes('eval(')) {
-    issues.push({
-      severity: 'high',
-      line: findLineNumber(code, 'eval('),
-      message: 'Dangerous use of eval() detected - security risk',
-      category: 'security',
-    });
-  }
-
-  if (code.match(/innerHTML\s*=/)) {
-    issues.push({
-      severity: 'medium',
-      line: findLineNumber(code, 'innerHTML'),
-      message: 'Direct innerHTML assignment can lead to XSS vulnerabilities',
-      category: 'security',
-    });
-  }
-
-  // Code quality issues
-  if (code.includes('var ')) {
-    issues.push({
-      severity: 'low',
-      line: findLineNumber(code, 'var '),
-      message: 'Use let or const instead of var for better scoping',
-      category: 'best-practices',
-    });
-  }
-
-  if (code.includes('console.log')) {
-    issues.push({
-      severity: 'info',
-      line: findLineNumber(code, 'console.log'),
-      message: 'Remove console.log statements before production',
-      category: 'best-practices',
-    });
-  }
-
-  if (code.match(/==(?!=)/)) {
-    issues.push({
-      severity: 'low',
-      line: findLineNumber(code, '=='),
-      message: 'Use === instead of == for strict equality',
-      category: 'best-practices',
-    });
-  }
-
-  // Calculate cyclomatic complexity
-  const complexity = calculateComplexity(code);
-
-  // Count functions
-  const functionCount =
-    (code.match(/function\s+\w+/g) || []).length +
-    (code.match(/\w+\s*=\s*\(/g) || []).length +
-    (code.match(/=>\s*{/g) || []).length;
-
-  return {
-    language,
-    metrics: {
-      lines,
-      characters: chars,
-      words,
-      complexity,
-      complexity_rating: getComplexityRating(complexity),
-      function_count: functionCount,
-      average_line_length: Math.round(chars / lines),
-    },
-    issues,
-    summary: {
-      total_issues: issues.length,
-      high: issues.filter((i) => i.severity === 'high').length,
-      medium: issues.filter((i) => i.severity === 'medium').length,
-      low: issues.filter((i) => i.severity === 'low').length,
-      info: issues.filter((i) => i.severity === 'info').length,
-    },
-    analyzed_at: new Date().toISOString(),
-  };
+const {
+  analyzeCode,
+  analyzeDiff,
+  analyzeProjectFiles,
+} = require('../lib/engine');
+const { readProjectFiles } = require('../lib/project');
+const { loadRuleConfig } = require('../lib/rules');
+const { renderReport } = require('../lib/reporters');
+const {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  outputFormat,
+  jsonFlag,
+} = require('../lib/cli');
+
+function render(result, format) {
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  return renderReport(format, { analysis: result }).body;
 }
 
-function calculateComplexity(code) {
-  const complexityKeywords = ['if', 'else', 'for', 'while', 'case', '&&', '||'];
-  let complexity = 1;
+// Main execution
+function main() {
+  try {
+    const { config, logger } = loadToolConfig();
+    const { flags, args } = takeFlags(process.argv.slice(2));
+    const format = outputFormat(flags);
+    const requestRules = jsonFlag(flags, 'rules');
+
+    if (flags.project !== undefined) {
+      const dir = flags.project;
+      if (typeof dir !== 'string' || !dir) {
+        throw new Error('Directory argument is required with --project');
+      }
+      const rules = { ...loadRuleConfig(dir), ...requestRules };
+      const files = readProjectFiles(dir);
+      checkCodeSize(config, files);
+      const result = timedOperation(logger, 'analyze-project', files, () =>
+        analyzeProjectFiles(files, { rules }),
+      );
 
-  complexityKeywords.forEach((keyword) => {
-    const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const pattern = keyword.match(/^\w+$/)
-      ? new RegExp('\\b' + escapedKeyword + '\\b', 'g')
-      : new RegExp(escapedKeyword, 'g');
-    const matches = code.match(pattern);
-    if (matches) complexity += matches.length;
-  });
+      // Project reports can be large: let stdout drain instead of exiting
+      console.log(render(result, format));
+      return;
+    }
 
-  return complexity;
-}
+    if (flags.base !== undefined) {
+      const change = {
+        base: flags.base === true ? '' : flags.base,
+        head: flags.head || undefined,
+        patch: flags.patch || undefined,
+      };
+      checkCodeSize(config, change);
+      const result = timedOperation(logger, 'analyze-diff', change, () =>
+        analyzeDiff(change, {
+          language: args[0] || 'javascript',
+          rules: { ...loadRuleConfig(), ...requestRules },
+          failOn: flags['fail-on'] || 'high',
+        }),
+      );
 
-function findLineNumber(code, pattern) {
-  const lines = code.split('\n');
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].includes(pattern)) {
-      return i + 1;
+      // SARIF/JUnit list the new issues only
+      console.log(
+        format === 'json'
+          ? JSON.stringify(result, null, 2)
+          : render({ issues: result.issues.new }, format),
+      );
+      process.exit(result.gate.passed ? 0 : 1);
     }
-  }
-  return 1;
-}
-
-function getComplexityRating(complexity) {
-  if (complexity <= 5) return 'simple';
-  if (complexity <= 10) return 'moderate';
-  if (complexity <= 20) return 'complex';
-  return 'very_complex';
-}
 
-// Main execution
-function main() {
-  try {
-    const code = process.argv[2];
-    const language = process.argv[3] || 'javascript';
+    const code = args[0];
+    const language = args[1] || 'javascript';
 
     if (!code) {
       console.error(
         JSON.stringify({
           error: 'Code argument is required',
-          usage: 'node analyze-code.js <code> [language]',
+          usage:
+            'node analyze-code.js <code> [language] [--format=json|sarif|junit] | --project <directory>',
           example:
             'node analyze-code.js "function test() { return true; }" javascript',
         }),
@@ -145,10 +105,14 @@ function main() {
       process.exit(1);
     }
 
-    const result = analyzeCode(code, language);
+    checkCodeSize(config, { code });
+    const rules = { ...loadRuleConfig(), ...requestRules };
+    const result = timedOperation(logger, 'analyze', code, () =>
+      analyzeCode(code, language, { rules }),
+    );
 
-    // Output JSON to stdout (captured by Universal MCP Bridge)
-    console.log(JSON.stringify(result, null, 2));
+    // Output JSON (or SARIF/JUnit) to stdout (captured by Universal MCP Bridge)
+    console.log(render(result, format));
 
     process.exit(0);
   } catch (error) {
@@ -167,4 +131,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { analyzeCode };
+module.exports = { analyzeCode, analyzeDiff, analyzeProjectFiles };
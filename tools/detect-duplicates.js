@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Code Detector Tool
+ * Finds copy-pasted code (exact and renamed-identifier clones) in a snippet
+ * or across the files of a project
+ *
+ * Usage: node detect-duplicates.js <code> [language] [--min-tokens=50]
+ *                                  [--min-lines=5]
+ *        node detect-duplicates.js --project <directory> [--min-tokens=...]
+ */
+
+const { detectDuplicates } = require('../lib/engine');
+const { readProjectFiles } = require('../lib/project');
+const {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  integerFlag,
+} = require('../lib/cli');
+
+// Main execution
+function main() {
+  try {
+    const { config, logger } = loadToolConfig();
+    const { flags, args } = takeFlags(process.argv.slice(2));
+    const options = {
+      min_tokens: integerFlag(flags, 'min-tokens'),
+      min_lines: integerFlag(flags, 'min-lines'),
+    };
+
+    // An empty --project= (an unset bridge argument) means no project
+    if (flags.project !== undefined && flags.project !== '') {
+      const dir = flags.project;
+      if (dir === true) {
+        throw new Error('Directory argument is required with --project');
+      }
+      const files = readProjectFiles(dir);
+      checkCodeSize(config, files);
+      const result = timedOperation(logger, 'duplicates', files, () =>
+        detectDuplicates(files, options),
+      );
+
+      // Project reports can be large: let stdout drain instead of exiting
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    const code = args[0];
+    const language = args[1] || 'javascript';
+
+    if (!code) {
+      console.error(
+        JSON.stringify({
+          error: 'Code argument is required',
+          usage:
+            'node detect-duplicates.js <code> [language] [--min-tokens=50] [--min-lines=5] | --project <directory>',
+          example: 'node detect-duplicates.js --project lib --min-tokens=40',
+        }),
+      );
+      process.exit(1);
+    }
+
+    checkCodeSize(config, { code });
+    const result = timedOperation(logger, 'duplicates', code, () =>
+      detectDuplicates(code, { ...options, language }),
+    );
+
+    // Output JSON to stdout
+    console.log(JSON.stringify(result, null, 2));
+
+    process.exit(0);
+  } catch (error) {
+    console.error(
+      JSON.stringify({
+        error: error.message,
+        stack: error.stack,
+      }),
+    );
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { detectDuplicates };
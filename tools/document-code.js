@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Generator Tool
+ * Builds an API reference from the exported functions and classes and
+ * their JSDoc comments, with doc coverage and comment/signature mismatches
+ *
+ * Usage: node document-code.js <code> [language] [--format=json|markdown]
+ *
+ * --format=markdown prints only the rendered reference.
+ */
+
+const { documentCode } = require('../lib/engine');
+const { DOCUMENT_FORMATS } = require('../lib/documentation');
+const {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  outputFormat,
+} = require('../lib/cli');
+
+// Main execution
+function main() {
+  try {
+    const { config, logger } = loadToolConfig();
+    const { flags, args } = takeFlags(process.argv.slice(2));
+    const format = outputFormat(flags, DOCUMENT_FORMATS);
+    const code = args[0];
+    const language = args[1] || 'javascript';
+
+    if (!code) {
+      console.error(
+        JSON.stringify({
+          error: 'Code argument is required',
+          usage:
+            'node document-code.js <code> [language] [--format=json|markdown]',
+          example:
+            'node document-code.js "/** Add two numbers. */ export function add(a, b) { return a + b; }"',
+        }),
+      );
+      process.exit(1);
+    }
+
+    checkCodeSize(config, { code });
+    const result = timedOperation(logger, 'document', code, () =>
+      documentCode(code, language),
+    );
+
+    // Output JSON (or the Markdown reference) to stdout
+    console.log(
+      format === 'markdown' ? result.markdown : JSON.stringify(result, null, 2),
+    );
+
+    process.exit(0);
+  } catch (error) {
+    console.error(
+      JSON.stringify({
+        error: error.message,
+        stack: error.stack,
+      }),
+    );
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { documentCode };
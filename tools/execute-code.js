@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Code Execution Tool
+ * Runs a JavaScript snippet in the sandbox and reports its console output,
+ * completion value and any thrown error
+ *
+ * Usage: node execute-code.js <code> [--timeout-ms=1000]
+ *          [--memory-limit-mb=32] [--max-output-bytes=65536]
+ */
+
+const { executeCode } = require('../lib/engine');
+const {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  integerFlag,
+} = require('../lib/cli');
+
+// Main execution
+async function main() {
+  try {
+    const { config, logger } = loadToolConfig();
+    const { flags, args } = takeFlags(process.argv.slice(2));
+    const code = args[0];
+
+    if (!code) {
+      console.error(
+        JSON.stringify({
+          error: 'Code argument is required',
+          usage:
+            'node execute-code.js <code> [--timeout-ms=1000] [--memory-limit-mb=32] [--max-output-bytes=65536]',
+          example: 'node execute-code.js "console.log(1 + 1); [1, 2].length"',
+        }),
+      );
+      process.exit(1);
+    }
+
+    checkCodeSize(config, { code });
+    const result = await timedOperation(logger, 'execute', code, () =>
+      executeCode(code, {
+        timeout_ms: integerFlag(flags, 'timeout-ms'),
+        memory_limit_mb: integerFlag(flags, 'memory-limit-mb'),
+        max_output_bytes: integerFlag(flags, 'max-output-bytes'),
+      }),
+    );
+
+    // Output JSON to stdout
+    console.log(JSON.stringify(result, null, 2));
+
+    // Exit with error code if the snippet failed
+    process.exit(result.status === 'ok' ? 0 : 1);
+  } catch (error) {
+    console.error(
+      JSON.stringify({
+        error: error.message,
+        stack: error.stack,
+      }),
+    );
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { executeCode };
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Code Fixer Tool
+ * Applies safe autofixes (var -> let/const, let -> const, == -> ===,
+ * console.log removal) and returns the fixed code with a unified diff
+ *
+ * Usage: node fix-code.js <code> [language]
+ *                         [--rules=no-var,prefer-const,eqeqeq,no-console]
+ */
+
+const { fixCode } = require('../lib/engine');
+const {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  listFlag,
+} = require('../lib/cli');
+
+// Main execution
+function main() {
+  try {
+    const { config, logger } = loadToolConfig();
+    const { flags, args } = takeFlags(process.argv.slice(2));
+    const code = args[0];
+    const language = args[1] || 'javascript';
+
+    if (!code) {
+      console.error(
+        JSON.stringify({
+          error: 'Code argument is required',
+          usage: 'node fix-code.js <code> [language] [--rules=<rule-ids>]',
+          example:
+            'node fix-code.js "var x = 1; if (x == 1) {}" --rules=no-var',
+        }),
+      );
+      process.exit(1);
+    }
+
+    checkCodeSize(config, { code });
+    const result = timedOperation(logger, 'fix', code, () =>
+      fixCode(code, language, listFlag(flags, 'rules')),
+    );
+
+    // Output JSON to stdout
+    console.log(JSON.stringify(result, null, 2));
+
+    process.exit(0);
+  } catch (error) {
+    console.error(
+      JSON.stringify({
+        error: error.message,
+        stack: error.stack,
+      }),
+    );
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { fixCode };
@@ -2,76 +2,44 @@
 
 /**
  * Code Formatter Tool
- * Formats JavaScript/TypeScript code with consistent style
+ * Formats code with Prettier (JavaScript, TypeScript, Flow, JSON, CSS,
+ * Markdown, YAML)
  *
- * Usage: node format-code.js <code> [language]
+ * Usage: node format-code.js <code> [language] [options-json]
  */
 
-function formatCode(code, language = 'javascript') {
-  // Simple formatter (for production, use Prettier)
-  let formatted = code;
+const { formatCode } = require('../lib/engine');
+const { loadToolConfig, checkCodeSize, timedOperation } = require('../lib/cli');
 
-  // Add semicolons if missing
-  formatted = formatted.replace(/([^;{}\s])\s*(\n|$)/g, '$1;$2');
-
-  // Consistent spacing around operators
-  formatted = formatted.replace(/(\w+)=(\w+)/g, '$1 = $2');
-  formatted = formatted.replace(/(\w+)\+(\w+)/g, '$1 + $2');
-  formatted = formatted.replace(/(\w+)-(\w+)/g, '$1 - $2');
-  formatted = formatted.replace(/(\w+)\*(\w+)/g, '$1 * $2');
-  formatted = formatted.replace(/(\w+)\/(\w+)/g, '$1 / $2');
-
-  // Format braces
-  formatted = formatted.replace(/\{/g, ' {\n  ');
-  formatted = formatted.replace(/\}/g, '\n}');
-  formatted = formatted.replace(/;/g, ';\n');
-
-  // Clean up extra newlines
-  formatted = formatted.replace(/\n\n+/g, '\n');
-  formatted = formatted.trim();
-
-  const changes = [];
-  if (formatted !== code) {
-    changes.push({
-      type: 'formatting',
-      description: 'Code has been reformatted for consistency',
-    });
-  }
-
-  return {
-    original: code,
-    formatted: formatted,
-    language,
-    stats: {
-      original_length: code.length,
-      formatted_length: formatted.length,
-      difference: formatted.length - code.length,
-      lines_before: code.split('\n').length,
-      lines_after: formatted.split('\n').length,
-    },
-    changes,
-    formatted_at: new Date().toISOString(),
-  };
+function parseOptions(arg) {
+  if (!arg || !arg.trim().startsWith('{')) return {};
+  return JSON.parse(arg);
 }
 
 // Main execution
-function main() {
+async function main() {
   try {
+    const { config, logger } = loadToolConfig();
     const code = process.argv[2];
     const language = process.argv[3] || 'javascript';
+    const options = parseOptions(process.argv[4]);
 
     if (!code) {
       console.error(
         JSON.stringify({
           error: 'Code argument is required',
-          usage: 'node format-code.js <code> [language]',
-          example: 'node format-code.js "const x=1;const y=2;" javascript',
+          usage: 'node format-code.js <code> [language] [options-json]',
+          example:
+            'node format-code.js "const x=1;const y=2;" javascript \'{"semi":false}\'',
         }),
       );
       process.exit(1);
     }
 
-    const result = formatCode(code, language);
+    checkCodeSize(config, { code });
+    const result = await timedOperation(logger, 'format', code, () =>
+      formatCode(code, language, options),
+    );
 
     // Output JSON to stdout
     console.log(JSON.stringify(result, null, 2));
@@ -81,6 +49,7 @@ function main() {
     console.error(
       JSON.stringify({
         error: error.message,
+        loc: error.loc,
         stack: error.stack,
       }),
     );
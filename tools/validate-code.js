@@ -2,116 +2,60 @@
 
 /**
  * Code Validator Tool
- * Quick syntax validation for JavaScript code
+ * Syntax validation for JavaScript, JSX and TypeScript with line/column
+ * diagnostics and code frames
  *
- * Usage: node validate-code.js <code>
+ * Usage: node validate-code.js <code> [language] [--format=json|sarif|junit]
+ *          [--source-type=unambiguous|script|module] [--strict]
  */
 
-function validateCode(code) {
-  const errors = [];
-  const warnings = [];
-
-  try {
-    // Basic syntax check - try to parse
-    new Function(code);
-
-    // Additional validation checks
-
-    // Check for unclosed braces
-    const openBraces = (code.match(/\{/g) || []).length;
-    const closeBraces = (code.match(/\}/g) || []).length;
-    if (openBraces !== closeBraces) {
-      errors.push({
-        type: 'syntax',
-        message: `Mismatched braces: ${openBraces} opening, ${closeBraces} closing`,
-      });
-    }
-
-    // Check for unclosed parentheses
-    const openParens = (code.match(/\(/g) || []).length;
-    const closeParens = (code.match(/\)/g) || []).length;
-    if (openParens !== closeParens) {
-      errors.push({
-        type: 'syntax',
-        message: `Mismatched parentheses: ${openParens} opening, ${closeParens} closing`,
-      });
-    }
-
-    // Check for unclosed brackets
-    const openBrackets = (code.match(/\[/g) || []).length;
-    const closeBrackets = (code.match(/\]/g) || []).length;
-    if (openBrackets !== closeBrackets) {
-      errors.push({
-        type: 'syntax',
-        message: `Mismatched brackets: ${openBrackets} opening, ${closeBrackets} closing`,
-      });
-    }
-
-    // Warnings for common issues
-    if (code.includes('var ')) {
-      warnings.push({
-        type: 'style',
-        message: 'Using "var" is discouraged, consider using "let" or "const"',
-      });
-    }
-
-    if (code.match(/==(?!=)/)) {
-      warnings.push({
-        type: 'style',
-        message:
-          'Using "==" is discouraged, consider using "===" for strict equality',
-      });
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors,
-      warnings,
-      summary: {
-        error_count: errors.length,
-        warning_count: warnings.length,
-      },
-      validated_at: new Date().toISOString(),
-    };
-  } catch (error) {
-    errors.push({
-      type: 'syntax',
-      message: error.message,
-    });
-
-    return {
-      valid: false,
-      errors,
-      warnings,
-      summary: {
-        error_count: errors.length,
-        warning_count: warnings.length,
-      },
-      validated_at: new Date().toISOString(),
-    };
-  }
-}
+const { validateCode } = require('../lib/engine');
+const { renderReport } = require('../lib/reporters');
+const {
+  loadToolConfig,
+  checkCodeSize,
+  timedOperation,
+  takeFlags,
+  outputFormat,
+  booleanFlag,
+} = require('../lib/cli');
 
 // Main execution
 function main() {
   try {
-    const code = process.argv[2];
+    const { config, logger } = loadToolConfig();
+    const { flags, args } = takeFlags(process.argv.slice(2));
+    const format = outputFormat(flags);
+
+    const code = args[0];
 
     if (!code) {
       console.error(
         JSON.stringify({
           error: 'Code argument is required',
-          usage: 'node validate-code.js <code>',
+          usage:
+            'node validate-code.js <code> [language] [--format=json|sarif|junit] [--source-type=script|module] [--strict]',
           example: 'node validate-code.js "function test() { return true; }"',
         }),
       );
       process.exit(1);
     }
 
-    const result = validateCode(code);
+    checkCodeSize(config, { code });
+    const result = timedOperation(logger, 'validate', code, () =>
+      validateCode(code, {
+        language: args[1] || 'javascript',
+        sourceType: flags['source-type'] || 'unambiguous',
+        strict: booleanFlag(flags, 'strict'),
+      }),
+    );
 
-    // Output JSON to stdout
-    console.log(JSON.stringify(result, null, 2));
+    // Output JSON (or SARIF/JUnit) to stdout
+    console.log(
+      format === 'json'
+        ? JSON.stringify(result, null, 2)
+        : renderReport(format, { validation: result }).body,
+    );
 
     // Exit with error code if invalid
     process.exit(result.valid ? 0 : 1);